@@ -7,12 +7,152 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const cors = require('cors');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const app = express();
 
+// =====================================================
+// LOGGING & REQUEST IDS
+// =====================================================
+// One JSON object per line. Anything logged while a request is being handled
+// carries that request's id, so a failure can be traced from the id in its response.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return { name: error.name, message: error.message, code: error.code, statusCode: error.statusCode, stack: error.stack };
+}
+
+function log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level, message, requestId: context && context.requestId };
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] = serializeError(value);
+    }
+    const line = JSON.stringify(entry);
+    if (LOG_LEVELS[level] >= LOG_LEVELS.warn) process.stderr.write(line + '\n');
+    else process.stdout.write(line + '\n');
+}
+
+const logger = {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields)
+};
+
+// Takes the caller's X-Request-Id when it looks sane, otherwise makes one; echoes it in
+// the response header and in every `success: false` body, and logs the finished request
+app.use((req, res, next) => {
+    const given = req.headers['x-request-id'];
+    req.id = typeof given === 'string' && /^[A-Za-z0-9._:-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    const json = res.json.bind(res);
+    res.json = body => json(body && body.success === false && !body.requestId ? { ...body, requestId: req.id } : body);
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        observeMetric('http_request_duration_seconds', { method: req.method, route, status: res.statusCode }, seconds);
+        log(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000)
+        });
+    });
+    requestContext.run({ requestId: req.id }, next);
+});
+
+// Express 4 doesn't pass rejected promises on, so async handlers are wrapped to send
+// their errors to the error handler at the bottom of the file
+const asyncHandler = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// =====================================================
+// METRICS
+// =====================================================
+// Prometheus counters and histograms kept in memory per process, served at /metrics
+const METRIC_HELP = {
+    http_request_duration_seconds: ['histogram', 'HTTP request latency by method, route and status'],
+    booking_status_changes_total: ['counter', 'Bookings moved to each status'],
+    payments_total: ['counter', 'Razorpay payment verifications by outcome'],
+    razorpay_webhooks_total: ['counter', 'Razorpay webhook events received, by event'],
+    refunds_total: ['counter', 'Refunds requested from Razorpay, by outcome'],
+    refunded_amount_rupees_total: ['counter', 'Rupees refunded through Razorpay']
+};
+const METRIC_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricSeries = new Map();
+
+function getMetricSeries(name, labels) {
+    const key = name + formatMetricLabels(labels);
+    if (!metricSeries.has(key)) {
+        metricSeries.set(key, { name, labels, value: 0, sum: 0, buckets: METRIC_BUCKETS.map(() => 0) });
+    }
+    return metricSeries.get(key);
+}
+
+function countMetric(name, labels = {}, amount = 1) {
+    getMetricSeries(name, labels).value += amount;
+}
+
+function observeMetric(name, labels, value) {
+    const series = getMetricSeries(name, labels);
+    series.value += 1;
+    series.sum += value;
+    METRIC_BUCKETS.forEach((bound, index) => {
+        if (value <= bound) series.buckets[index] += 1;
+    });
+}
+
+function formatMetricLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([label, value]) => `${label}="${String(value).replace(/["\\\n]/g, '_')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// The Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+    for (const [name, [type, help]] of Object.entries(METRIC_HELP)) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const series of metricSeries.values()) {
+            if (series.name !== name) continue;
+            if (type === 'histogram') {
+                METRIC_BUCKETS.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatMetricLabels(series.labels, { le: bound })} ${series.buckets[index]}`);
+                });
+                lines.push(`${name}_bucket${formatMetricLabels(series.labels, { le: '+Inf' })} ${series.value}`);
+                lines.push(`${name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${formatMetricLabels(series.labels)} ${series.value}`);
+            } else {
+                lines.push(`${name}${formatMetricLabels(series.labels)} ${series.value}`);
+            }
+        }
+    }
+    lines.push(
+        '# HELP process_uptime_seconds Seconds since the process started',
+        '# TYPE process_uptime_seconds gauge',
+        `process_uptime_seconds ${Math.round(process.uptime())}`,
+        '# HELP process_resident_memory_bytes Resident memory size in bytes',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${process.memoryUsage().rss}`
+    );
+    return lines.join('\n') + '\n';
+}
+
 // =====================================================
 // CORS CONFIGURATION FOR NETLIFY
 // =====================================================
@@ -36,21 +176,146 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'X-Total-Count', 'Content-Disposition', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining']
 }));
 
 // =====================================================
 // MIDDLEWARE
 // =====================================================
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        // Razorpay webhook signatures are computed over the exact raw body
+        if (req.originalUrl.startsWith('/api/payment/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Malformed JSON gets the same 400 shape as a validation failure
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, message: 'Request body is not valid JSON', errors: [{ field: '', message: 'Request body is not valid JSON' }] });
+    }
+    next(err);
+});
 
 // =====================================================
 // CONFIGURATION
 // =====================================================
 const MONGODB_URI = process.env.MONGODB_URI;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is required');
+}
 const PORT = process.env.PORT || 5000;
+const HOLD_MINUTES = parseInt(process.env.HOLD_MINUTES, 10) || 15;
+const CRON_SECRET = process.env.CRON_SECRET;
+// Bearer token Prometheus must send to scrape /metrics; the endpoint is off without it
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// How long a Razorpay credentials check is trusted by the readiness probe
+const RAZORPAY_CHECK_TTL_MS = 60 * 1000;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const MESSAGE_TRANSPORT = process.env.MESSAGE_TRANSPORT || 'console';
+const OTP_TRANSPORT = process.env.OTP_TRANSPORT || MESSAGE_TRANSPORT;
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || MESSAGE_TRANSPORT;
+// Transports that never reach anyone; fine locally, but in production they would
+// leave guests without their login codes
+const LOCAL_MESSAGE_TRANSPORTS = ['console', 'file'];
+if (process.env.NODE_ENV === 'production' && LOCAL_MESSAGE_TRANSPORTS.includes(OTP_TRANSPORT)) {
+    throw new Error(`OTP_TRANSPORT must be a real transport in production, not '${OTP_TRANSPORT}'`);
+}
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'Madura Grandeur <no-reply@maduragrandeur.com>';
+const HOTEL_NAME = 'Madura Grandeur';
+const HOTEL_GSTIN = process.env.HOTEL_GSTIN || '';
+const HOTEL_ADDRESS = process.env.HOTEL_ADDRESS || 'Madurai, Tamil Nadu, India';
+const HOTEL_STATE = process.env.HOTEL_STATE || 'Tamil Nadu (33)';
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'MG';
+// Nightly base rates for the original room types when they are first seeded and have no
+// rate plan, e.g. {"standard":2500,"deluxe":4000,"suite":7000}
+const ROOM_BASE_RATES = JSON.parse(process.env.ROOM_BASE_RATES || '{}');
+// SAC for room accommodation services
+const ACCOMMODATION_SAC = '996311';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://maduragrandeur.netlify.app';
+// How long a waitlisted guest has to claim a room offered to them; the room is held meanwhile
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 60;
+// Most rooms one group reservation can take
+const MAX_RESERVATION_ROOMS = parseInt(process.env.MAX_RESERVATION_ROOMS, 10) || 20;
+// Minutes to wait before each retry of a failed email; one more failure after the last marks it failed
+const NOTIFICATION_RETRY_MINUTES = [1, 5, 30, 120];
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const ADMIN_MAX_FAILED_LOGINS = parseInt(process.env.ADMIN_MAX_FAILED_LOGINS, 10) || 5;
+const ADMIN_LOCKOUT_MINUTES = parseInt(process.env.ADMIN_LOCKOUT_MINUTES, 10) || 15;
+// Requests allowed per window, as 'max/seconds'; each can be overridden with RATE_LIMIT_<NAME>
+const RATE_LIMITS = {
+    adminLogin: parseRateLimit('ADMIN_LOGIN', '20/900'),
+    otpRequest: parseRateLimit('OTP_REQUEST', '10/3600'),
+    otpVerify: parseRateLimit('OTP_VERIFY', '20/900'),
+    createOrderIp: parseRateLimit('CREATE_ORDER_IP', '30/3600'),
+    createOrderEmail: parseRateLimit('CREATE_ORDER_EMAIL', '10/3600'),
+    createBooking: parseRateLimit('CREATE_BOOKING', '10/3600'),
+    bookingLookup: parseRateLimit('BOOKING_LOOKUP', '30/600'),
+    promoValidate: parseRateLimit('PROMO_VALIDATE', '30/600'),
+    waitlistJoin: parseRateLimit('WAITLIST_JOIN', '10/3600'),
+    waitlistClaim: parseRateLimit('WAITLIST_CLAIM', '20/600')
+};
+
+// Booking lifecycle: the statuses a booking may move to from each status.
+// needs_refund is entered only when a booking cannot be honoured: by confirmBooking for a
+// paid booking, or by moveChannelBooking for a channel booking that lost its rooms.
+const BOOKING_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled', 'expired'],
+    confirmed: ['checked_in', 'cancelled', 'no_show'],
+    checked_in: ['checked_out'],
+    needs_refund: ['confirmed', 'cancelled'],
+    checked_out: [],
+    cancelled: [],
+    no_show: [],
+    expired: []
+};
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+// Bookings that went ahead and were paid for, whether or not the guest turned up
+const BOOKED_STATUSES = ['confirmed', 'checked_in', 'checked_out', 'no_show'];
+// Bookings that hold a physical room for their dates
+const ROOM_HOLDING_STATUSES = ['confirmed', 'checked_in'];
+const ROOM_STATUSES = ['clean', 'dirty', 'out_of_order'];
+// waiting -> offered (room held, claim link sent) -> claimed (checkout started) -> booked
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'booked', 'expired', 'cancelled'];
+const WAITLIST_ACTIVE_STATUSES = ['waiting', 'offered', 'claimed'];
+const STATUS_TIMESTAMPS = {
+    confirmed: 'confirmedAt',
+    checked_in: 'checkedInAt',
+    checked_out: 'checkedOutAt',
+    cancelled: 'cancelledDate',
+    no_show: 'noShowAt',
+    expired: 'expiredDate',
+    needs_refund: 'needsRefundAt'
+};
+
+// owner can do everything; the other roles are granted per route with requireRole
+const ADMIN_ROLES = ['owner', 'manager', 'front_desk', 'accountant'];
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+const HOTEL_UTC_OFFSET = process.env.HOTEL_UTC_OFFSET || '+05:30';
+const CHECK_IN_TIME = process.env.CHECK_IN_TIME || '14:00';
+
+// GST on accommodation, chosen by the tariff of each night (₹, inclusive upper bound)
+const GST_SLABS = [
+    { upTo: 1000, rate: 0 },
+    { upTo: 7500, rate: 5 },
+    { upTo: Infinity, rate: 18 }
+];
+
+// Used for any room type without its own CancellationPolicy
+// Full refund more than 7 days out, 50% after that, nothing once check-in time has passed
+const DEFAULT_CANCELLATION_RULES = [
+    { minHoursBeforeCheckIn: 168, refundPercent: 100 },
+    { minHoursBeforeCheckIn: 0, refundPercent: 50 }
+];
 
 // Razorpay Instance
 const razorpay = new Razorpay({
@@ -65,7 +330,7 @@ let isConnected = false;
 
 async function connectToDatabase() {
     if (isConnected) {
-        console.log('Using existing database connection');
+        logger.debug('Using existing database connection');
         return;
     }
 
@@ -78,12 +343,15 @@ async function connectToDatabase() {
         });
 
         isConnected = db.connections[0].readyState === 1;
-        console.log('✅ MongoDB Connected Successfully');
+        logger.info('MongoDB connected');
         
         // Create default admin after connection
+        await migrateAdmins();
         await createDefaultAdmin();
+        await seedRoomTypes();
+        await backfillRoomNights();
     } catch (err) {
-        console.error('❌ MongoDB Connection Error:', err);
+        logger.error('MongoDB connection failed', { error: err });
         isConnected = false;
         throw err;
     }
@@ -93,486 +361,5370 @@ async function connectToDatabase() {
 // DATABASE SCHEMAS
 // =====================================================
 const adminSchema = new mongoose.Schema({
-    email: { type: String, required: true, unique: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true },
     name: { type: String, required: true },
-    role: { type: String, default: 'admin' },
+    role: { type: String, enum: ADMIN_ROLES, default: 'front_desk' },
+    active: { type: Boolean, default: true },
+    mustChangePassword: { type: Boolean, default: false },
+    passwordChangedAt: { type: Date },
+    lastLoginAt: { type: Date },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
     createdAt: { type: Date, default: Date.now }
 });
 
 const bookingSchema = new mongoose.Schema({
     bookingId: { type: String, required: true, unique: true },
     guestName: { type: String, required: true },
-    guestEmail: { type: String, required: true },
+    guestEmail: { type: String, required: true, lowercase: true, trim: true },
     guestPhone: { type: String, required: true },
-    roomType: { type: String, required: true },
+    roomType: { type: String, required: true, lowercase: true, trim: true },
     checkIn: { type: String, required: true },
     checkOut: { type: String, required: true },
     guests: { type: Number, default: 1 },
     nights: { type: Number, required: true },
     roomPrice: { type: Number, required: true },
     totalAmount: { type: Number, required: true },
-    status: { type: String, default: 'pending' },
+    subtotal: { type: Number },
+    taxAmount: { type: Number },
+    priceBreakdown: [{
+        date: { type: String },
+        rate: { type: Number },
+        rateSource: { type: String },
+        surcharge: { type: Number },
+        amount: { type: Number },
+        discount: { type: Number },
+        gstRate: { type: Number },
+        gst: { type: Number }
+    }],
+    promoCode: { type: String },
+    discountAmount: { type: Number, default: 0 },
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
+    roomNumber: { type: String },
+    // Outgoing guest emails; doubles as their delivery queue
+    notifications: [{
+        key: { type: String, required: true },
+        type: { type: String, required: true },
+        status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+        data: { type: mongoose.Schema.Types.Mixed },
+        attemptCount: { type: Number, default: 0 },
+        attempts: [{
+            at: { type: Date },
+            transport: { type: String },
+            error: { type: String }
+        }],
+        nextAttemptAt: { type: Date, default: Date.now },
+        sentAt: { type: Date },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    status: { type: String, enum: BOOKING_STATUSES, default: 'pending' },
+    statusHistory: [{
+        from: { type: String },
+        to: { type: String },
+        at: { type: Date },
+        by: { type: String },
+        reason: { type: String }
+    }],
     specialRequests: { type: String },
+    // Where the booking came from: the website, or the walk-in/OTA name given on import
+    source: { type: String, default: 'website' },
+    // Set on bookings created from a channel's iCal feed: the channel and the event's UID
+    channelId: { type: mongoose.Schema.Types.ObjectId, ref: 'Channel' },
+    externalUid: { type: String },
+    // Set on each room of a group reservation; the rooms share one Razorpay order and payment
+    reservationId: { type: String },
     razorpayOrderId: { type: String },
     razorpayPaymentId: { type: String },
     razorpaySignature: { type: String },
     paymentStatus: { type: String, default: 'pending' },
+    refunds: [{
+        refundId: { type: String },
+        amount: { type: Number },
+        status: { type: String },
+        reason: { type: String },
+        initiatedBy: { type: String },
+        createdAt: { type: Date, default: Date.now },
+        processedAt: { type: Date },
+        creditNoteNumber: { type: String },
+        creditNoteIssuedAt: { type: Date }
+    }],
+    // Tax invoice, numbered once and stored so every reissue is identical
+    invoice: {
+        number: { type: String },
+        financialYear: { type: String },
+        issuedAt: { type: Date },
+        issuingAt: { type: Date },
+        snapshot: { type: mongoose.Schema.Types.Mixed }
+    },
+    inventoryReserved: { type: Boolean, default: false },
+    holdExpiresAt: { type: Date },
     bookingDate: { type: Date, default: Date.now },
-    cancelledDate: { type: Date }
+    confirmedAt: { type: Date },
+    checkedInAt: { type: Date },
+    checkedOutAt: { type: Date },
+    cancelledDate: { type: Date },
+    noShowAt: { type: Date },
+    expiredDate: { type: Date },
+    needsRefundAt: { type: Date },
+    deletedAt: { type: Date },
+    deletedBy: { type: String }
+});
+
+// Deleted bookings are kept for the audit trail but hidden from every query
+// unless the query is run with the `withDeleted` option
+bookingSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], function () {
+    if (!this.getOptions().withDeleted) {
+        this.where({ deletedAt: null });
+    }
 });
+bookingSchema.pre('aggregate', function () {
+    if (!this.options.withDeleted) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+// Analytics reads bookings by stay dates and by booking date, always within a set of statuses
+bookingSchema.index({ status: 1, checkIn: 1, checkOut: 1 });
+bookingSchema.index({ bookingDate: 1, status: 1 });
+bookingSchema.index({ guestEmail: 1 });
+// Admin listing: one index per sort order, ending in _id for cursor pagination
+bookingSchema.index({ bookingDate: -1, _id: -1 });
+bookingSchema.index({ checkIn: 1, _id: 1 });
+bookingSchema.index({ checkOut: 1, _id: 1 });
+bookingSchema.index({ totalAmount: 1, _id: 1 });
+bookingSchema.index({ paymentStatus: 1, bookingDate: -1 });
+bookingSchema.index({ roomType: 1, checkIn: 1 });
+bookingSchema.index({ guestPhone: 1 });
+bookingSchema.index({ reservationId: 1 }, { sparse: true });
+bookingSchema.index({ channelId: 1, externalUid: 1 }, { unique: true, partialFilterExpression: { channelId: { $exists: true } } });
 
 const guestSchema = new mongoose.Schema({
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     phone: { type: String, required: true },
     bookings: { type: Number, default: 0 },
     lastBooking: { type: Date }
 });
 
-const roomAvailabilitySchema = new mongoose.Schema({
-    standard: { type: Number, default: 10 },
-    deluxe: { type: Number, default: 8 },
-    suite: { type: Number, default: 5 },
+// Physical rooms. Once a room type has Room documents, its capacity is the number
+// of those rooms that are not out of order.
+const roomSchema = new mongoose.Schema({
+    number: { type: String, required: true, unique: true, trim: true },
+    floor: { type: Number, required: true },
+    roomType: { type: String, required: true },
+    status: { type: String, enum: ROOM_STATUSES, default: 'clean' },
+    notes: { type: String },
+    updatedAt: { type: Date, default: Date.now }
+});
+roomSchema.index({ roomType: 1, status: 1 });
+
+// Room type catalog. totalRooms is the inventory of a type that has no Room documents
+// yet; what is taken on each night lives in RoomNight.
+const roomTypeSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9_-]+$/ },
+    name: { type: String, required: true },
+    description: { type: String },
+    maxOccupancy: { type: Number, required: true, min: 1 },
+    amenities: [{ type: String }],
+    baseRate: { type: Number, required: true, min: 0 },
+    images: [{ type: String, match: /^https?:\/\// }],
+    totalRooms: { type: Number, default: 0, min: 0 },
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Rooms taken per room type per night; only ever changed with conditional $inc
+const roomNightSchema = new mongoose.Schema({
+    roomType: { type: String, required: true },
+    date: { type: String, required: true },
+    booked: { type: Number, default: 0, min: 0 }
+});
+roomNightSchema.index({ roomType: 1, date: 1 }, { unique: true });
+
+// Razorpay webhook events already handled, so retried deliveries are ignored
+const webhookEventSchema = new mongoose.Schema({
+    eventId: { type: String, required: true, unique: true },
+    event: { type: String, required: true },
+    receivedAt: { type: Date, default: Date.now }
+});
+
+// Refund percentage by how long before check-in a booking is cancelled.
+// Rules are matched from the largest minHoursBeforeCheckIn down; no match means no refund.
+const cancellationPolicySchema = new mongoose.Schema({
+    roomType: { type: String, required: true, unique: true },
+    rules: [{
+        minHoursBeforeCheckIn: { type: Number, required: true },
+        refundPercent: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Nightly pricing for a room type; baseRate falls back to the RoomType's. Overrides replace the base rate (or adjust it by a
+// percentage) for a date range and/or days of the week; the highest priority match wins.
+const ratePlanSchema = new mongoose.Schema({
+    roomType: { type: String, required: true, unique: true },
+    baseRate: { type: Number, min: 0 },
+    baseOccupancy: { type: Number, default: 2, min: 1 },
+    extraGuestCharge: { type: Number, default: 0, min: 0 },
+    overrides: [{
+        name: { type: String, required: true },
+        startDate: { type: String },
+        endDate: { type: String },
+        daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+        rate: { type: Number, min: 0 },
+        adjustmentPercent: { type: Number },
+        priority: { type: Number, default: 0 }
+    }],
     updatedAt: { type: Date, default: Date.now }
 });
 
+// Discount codes for campaigns and corporate tie-ups. usedCount only moves when a
+// booking using the code is confirmed.
+const promoCodeSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: { type: String, enum: ['flat', 'percentage'], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+    maxDiscount: { type: Number, min: 0 },
+    minNights: { type: Number, default: 1, min: 1 },
+    validFrom: { type: String },
+    validUntil: { type: String },
+    roomTypes: [{ type: String }],
+    usageLimit: { type: Number, min: 0 },
+    perGuestLimit: { type: Number, min: 0 },
+    usedCount: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// One-time login codes for guests; only a hash of the code is stored
+const otpCodeSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Last number handed out per series, e.g. 'INV/2026-27'. `claims` holds numbers drawn but
+// not yet stored on their document, keyed by owner, so a retry reuses them instead of leaving a gap
+const documentCounterSchema = new mongoose.Schema({
+    series: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 },
+    claims: [{
+        _id: false,
+        owner: { type: String, required: true },
+        seq: { type: Number, required: true }
+    }]
+});
+
+// Requests counted per limiter, identity and fixed time window; expired windows are removed by the TTL index
+const rateLimitSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// An OTA connection for one room type. We publish the type's sold-out dates as an
+// iCal feed for the channel and poll the channel's own feed for its reservations.
+const channelSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    roomType: { type: String, required: true, lowercase: true, trim: true },
+    importUrl: { type: String, match: /^https?:\/\// },
+    active: { type: Boolean, default: true },
+    lastSyncedAt: { type: Date },
+    lastSyncStatus: { type: String, enum: ['ok', 'error'] },
+    lastSyncError: { type: String },
+    lastSyncSummary: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A group reservation: several room lines paid with one Razorpay order. Each room is
+// its own Booking carrying the reservationId, so inventory, check-in, invoices and
+// refunds work per room; the reservation keeps the lines and the combined price.
+const reservationSchema = new mongoose.Schema({
+    reservationId: { type: String, required: true, unique: true },
+    guestName: { type: String, required: true },
+    guestEmail: { type: String, required: true, lowercase: true, trim: true },
+    guestPhone: { type: String, required: true },
+    checkIn: { type: String, required: true },
+    checkOut: { type: String, required: true },
+    nights: { type: Number, required: true },
+    lines: [{
+        roomType: { type: String, required: true, lowercase: true },
+        quantity: { type: Number, required: true },
+        guestsPerRoom: { type: Number, default: 1 },
+        bookingIds: [{ type: String }],
+        subtotal: { type: Number },
+        taxAmount: { type: Number },
+        totalAmount: { type: Number }
+    }],
+    subtotal: { type: Number },
+    taxAmount: { type: Number },
+    totalAmount: { type: Number, required: true },
+    razorpayOrderId: { type: String },
+    razorpayPaymentId: { type: String },
+    // Set by whichever confirmation gets there first; it alone records the guest and emails them
+    confirmedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+reservationSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+reservationSchema.index({ guestEmail: 1 });
+
+// Guests waiting for a sold-out room type. When rooms free up the oldest matching
+// entry is offered a held booking; only a hash of its claim token is stored.
+const waitlistEntrySchema = new mongoose.Schema({
+    guestName: { type: String, required: true },
+    guestEmail: { type: String, required: true, lowercase: true, trim: true },
+    guestPhone: { type: String, required: true },
+    roomType: { type: String, required: true, lowercase: true, trim: true },
+    checkIn: { type: String, required: true },
+    checkOut: { type: String, required: true },
+    guests: { type: Number, default: 1 },
+    status: { type: String, enum: WAITLIST_STATUSES, default: 'waiting' },
+    bookingId: { type: String },
+    claimTokenHash: { type: String },
+    offeredAt: { type: Date },
+    offerExpiresAt: { type: Date },
+    claimedAt: { type: Date },
+    cancelledAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+waitlistEntrySchema.index({ roomType: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ checkIn: 1, checkOut: 1 });
+waitlistEntrySchema.index({ claimTokenHash: 1 }, { sparse: true });
+waitlistEntrySchema.index({ bookingId: 1 }, { sparse: true });
+
+// Who changed what: every admin, guest, payment and system change to bookings and inventory
+const auditLogSchema = new mongoose.Schema({
+    actorType: { type: String, enum: ['admin', 'guest', 'razorpay', 'system', 'public'], required: true },
+    actor: { type: String },
+    actorEmail: { type: String },
+    action: { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId: { type: String },
+    changes: { type: mongoose.Schema.Types.Mixed },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
 // Models
 const Admin = mongoose.model('Admin', adminSchema);
 const Booking = mongoose.model('Booking', bookingSchema);
+guestSchema.index({ lastBooking: -1, _id: -1 });
+guestSchema.index({ bookings: -1, _id: -1 });
+guestSchema.index({ name: 1, _id: 1 });
+guestSchema.index({ phone: 1 });
+
 const Guest = mongoose.model('Guest', guestSchema);
-const RoomAvailability = mongoose.model('RoomAvailability', roomAvailabilitySchema);
+const RoomType = mongoose.model('RoomType', roomTypeSchema);
+const Room = mongoose.model('Room', roomSchema);
+const RoomNight = mongoose.model('RoomNight', roomNightSchema);
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+const CancellationPolicy = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+const RatePlan = mongoose.model('RatePlan', ratePlanSchema);
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const DocumentCounter = mongoose.model('DocumentCounter', documentCounterSchema);
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+const Channel = mongoose.model('Channel', channelSchema);
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+const Reservation = mongoose.model('Reservation', reservationSchema);
 
 // =====================================================
 // HELPER FUNCTIONS
 // =====================================================
-async function decreaseRoomAvailability(roomType) {
-    try {
-        let rooms = await RoomAvailability.findOne();
-        if (!rooms) {
-            rooms = new RoomAvailability();
-            await rooms.save();
-        }
-        if (rooms[roomType] > 0) {
-            rooms[roomType] -= 1;
-            rooms.updatedAt = new Date();
-            await rooms.save();
-            console.log(`✅ Room availability decreased: ${roomType} = ${rooms[roomType]}`);
-            return { success: true, newCount: rooms[roomType] };
-        }
-        return { success: false, message: 'No rooms available' };
-    } catch (error) {
-        console.error('Error decreasing room availability:', error);
-        return { success: false, message: 'Error updating availability' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalises a date string (or Date) to a 'YYYY-MM-DD' key, or null if invalid
+function toDateKey(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(String(value).slice(0, 10) + 'T00:00:00Z');
+    if (isNaN(date.getTime())) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// Every night of a stay: checkIn inclusive, checkOut exclusive
+function getNightsBetween(checkIn, checkOut) {
+    const start = toDateKey(checkIn);
+    const end = toDateKey(checkOut);
+    if (!start || !end || start >= end) return [];
+    const nights = [];
+    for (let time = Date.parse(start); time < Date.parse(end); time += DAY_MS) {
+        nights.push(new Date(time).toISOString().slice(0, 10));
     }
+    return nights;
 }
 
-async function increaseRoomAvailability(roomType) {
-    try {
-        let rooms = await RoomAvailability.findOne();
-        if (!rooms) {
-            rooms = new RoomAvailability();
-        }
-        rooms[roomType] += 1;
-        rooms.updatedAt = new Date();
-        await rooms.save();
-        console.log(`✅ Room availability increased: ${roomType} = ${rooms[roomType]}`);
-        return { success: true, newCount: rooms[roomType] };
-    } catch (error) {
-        console.error('Error increasing room availability:', error);
-        return { success: false, message: 'Error updating availability' };
+// Active room type by code, or null for unknown and retired codes
+async function getRoomType(code) {
+    if (typeof code !== 'string' || !code) return null;
+    return RoomType.findOne({ code: code.toLowerCase(), active: true });
+}
+
+async function getActiveRoomTypeCodes() {
+    const roomTypes = await RoomType.find({ active: true }, { code: 1 }).sort({ sortOrder: 1, code: 1 });
+    return roomTypes.map(t => t.code);
+}
+
+async function getRoomCapacity(roomType) {
+    const physicalRooms = await Room.countDocuments({ roomType });
+    if (physicalRooms > 0) {
+        return Room.countDocuments({ roomType, status: { $ne: 'out_of_order' } });
     }
+    const type = await RoomType.findOne({ code: roomType });
+    return type ? type.totalRooms : 0;
 }
 
-async function createDefaultAdmin() {
-    try {
-        const adminCount = await Admin.countDocuments();
-        if (adminCount === 0) {
-            const defaultAdmin = new Admin({
-                email: 'admin@maduraGrandeur.com',
-                password: 'admin123',
-                name: 'Administrator'
-            });
-            await defaultAdmin.save();
-            console.log('✅ Default admin created');
-        }
-    } catch (error) {
-        console.error('❌ Error creating default admin:', error);
+async function getCapacityByRoomType() {
+    const capacity = {};
+    for (const code of await getActiveRoomTypeCodes()) {
+        capacity[code] = await getRoomCapacity(code);
     }
+    return capacity;
 }
 
-// =====================================================
-// MIDDLEWARE - JWT VERIFICATION
-// =====================================================
-const verifyToken = (req, res, next) => {
-    const token = req.headers['authorization'];
-    if (!token) {
-        return res.status(403).json({ success: false, message: 'No token provided' });
+// Works out availability night by night from the RoomNight ledger
+async function getNightlyAvailability(roomType, checkIn, checkOut) {
+    const nights = getNightsBetween(checkIn, checkOut);
+    if (nights.length === 0) {
+        return { success: false, message: 'Invalid check-in/check-out dates' };
     }
-    const actualToken = token.startsWith('Bearer ') ? token.slice(7) : token;
-    jwt.verify(actualToken, JWT_SECRET, (err, decoded) => {
-        if (err) {
-            return res.status(401).json({ success: false, message: 'Invalid token' });
-        }
-        req.adminId = decoded.id;
-        next();
+    const type = await getRoomType(roomType);
+    if (!type) {
+        return { success: false, message: `Unknown room type ${roomType}` };
+    }
+    roomType = type.code;
+    const capacity = await getRoomCapacity(roomType);
+    const ledger = await RoomNight.find({ roomType, date: { $in: nights } });
+    const bookedByDate = new Map(ledger.map(n => [n.date, n.booked]));
+    const nightly = nights.map(date => {
+        const booked = bookedByDate.get(date) || 0;
+        return { date, capacity, booked, available: Math.max(capacity - booked, 0) };
     });
-};
+    const soldOutNights = nightly.filter(n => n.available <= 0).map(n => n.date);
+    return {
+        success: true,
+        roomType,
+        capacity,
+        available: Math.min(...nightly.map(n => n.available)),
+        soldOutNights,
+        nights: nightly
+    };
+}
 
-// =====================================================
-// ROUTES - ADMIN AUTHENTICATION
-// =====================================================
-app.post('/api/admin/login', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const { email, password } = req.body;
-        const admin = await Admin.findOne({ email });
-        if (!admin) {
-            return res.status(401).json({ success: false, message: 'Invalid credentials' });
-        }
-        if (password === admin.password) {
-            const token = jwt.sign({ id: admin._id, email: admin.email }, JWT_SECRET, { expiresIn: '24h' });
-            return res.json({
-                success: true,
-                token,
-                admin: { email: admin.email, name: admin.name, role: admin.role }
-            });
-        }
-        return res.status(401).json({ success: false, message: 'Invalid credentials' });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+async function checkRoomAvailability(roomType, checkIn, checkOut) {
+    const availability = await getNightlyAvailability(roomType, checkIn, checkOut);
+    if (!availability.success) return availability;
+    if (availability.soldOutNights.length > 0) {
+        return { success: false, message: 'Selected room is not available', soldOutNights: availability.soldOutNights };
     }
-});
+    return availability;
+}
 
-app.get('/api/admin/status', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const adminCount = await Admin.countDocuments();
-        const admins = await Admin.find({}, { password: 0 });
-        res.json({ success: true, adminCount, admins });
-    } catch (error) {
-        res.status(500).json({ success: false, message: 'Server error' });
+async function releaseNights(roomType, nights) {
+    for (const date of nights) {
+        await RoomNight.updateOne({ roomType, date, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
     }
-});
+}
 
-// =====================================================
-// ROUTES - USER PANEL
-// =====================================================
-app.get('/api/user/bookings/:email', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const email = decodeURIComponent(req.params.email);
-        const bookings = await Booking.find({ 
-            guestEmail: { $regex: new RegExp(`^${email}$`, 'i') }
-        }).sort({ bookingDate: -1 });
-        res.json({ success: true, bookings });
-    } catch (error) {
-        console.error('Get user bookings error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+// Takes one room for every night of the booking. Each night is a conditional $inc,
+// so concurrent callers can never push a night past capacity; if any night is
+// sold out the nights already taken are given back and nothing is reserved.
+async function reserveInventory(booking) {
+    const nights = getNightsBetween(booking.checkIn, booking.checkOut);
+    if (nights.length === 0) {
+        return { success: false, message: 'Invalid check-in/check-out dates' };
+    }
+    const claimed = await Booking.updateOne(
+        { _id: booking._id, inventoryReserved: { $ne: true } },
+        { $set: { inventoryReserved: true } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return { success: true, alreadyReserved: true };
     }
-});
 
-app.put('/api/user/cancel-booking/:id', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const booking = await Booking.findById(req.params.id);
-        if (!booking) {
-            return res.status(404).json({ success: false, message: 'Booking not found' });
+    const capacity = await getRoomCapacity(booking.roomType);
+    const reserved = [];
+    let soldOutNight = null;
+
+    for (const date of nights) {
+        if (capacity <= 0) {
+            soldOutNight = date;
+            break;
         }
-        if (booking.status === 'confirmed') {
-            await increaseRoomAvailability(booking.roomType);
+        try {
+            await RoomNight.updateOne(
+                { roomType: booking.roomType, date },
+                { $setOnInsert: { booked: 0 } },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Another request created the same night first
+            if (error.code !== 11000) throw error;
         }
-        booking.status = 'cancelled';
-        booking.cancelledDate = new Date();
-        await booking.save();
-        res.json({ success: true, booking });
-    } catch (error) {
-        console.error('Cancel booking error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+        const taken = await RoomNight.updateOne(
+            { roomType: booking.roomType, date, booked: { $lt: capacity } },
+            { $inc: { booked: 1 } }
+        );
+        if (taken.modifiedCount === 0) {
+            soldOutNight = date;
+            break;
+        }
+        reserved.push(date);
     }
-});
 
-app.put('/api/user/update-profile', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const { email, name, phone } = req.body;
-        await Booking.updateMany(
-            { guestEmail: { $regex: new RegExp(`^${email}$`, 'i') } },
-            { $set: { guestName: name, guestPhone: phone } }
-        );
-        await Guest.updateOne(
-            { email: { $regex: new RegExp(`^${email}$`, 'i') } },
-            { $set: { name, phone } }
-        );
-        res.json({ success: true, message: 'Profile updated successfully' });
-    } catch (error) {
-        console.error('Update profile error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+    if (soldOutNight) {
+        await releaseNights(booking.roomType, reserved);
+        await Booking.updateOne({ _id: booking._id }, { $set: { inventoryReserved: false } });
+        booking.inventoryReserved = false;
+        return { success: false, message: 'Selected room is not available', soldOutNights: [soldOutNight] };
     }
-});
 
-// =====================================================
-// ROUTES - RAZORPAY PAYMENT
-// =====================================================
-app.post("/api/payment/create-order", async (req, res) => {
-    try {
-        await connectToDatabase();
-        const { amount, bookingData } = req.body;
-        let rooms = await RoomAvailability.findOne();
-        if (!rooms) {
-            rooms = new RoomAvailability();
-            await rooms.save();
-        }
-        if (rooms[bookingData.roomType] <= 0) {
-            return res.status(400).json({ success: false, message: 'Selected room is not available' });
-        }
-        const options = {
-            amount: amount * 100,
-            currency: "INR",
-            receipt: "MG_" + Date.now(),
-            notes: { bookingId: bookingData.bookingId, guestEmail: bookingData.guestEmail }
-        };
-        const order = await razorpay.orders.create(options);
-        const booking = new Booking({ ...bookingData, razorpayOrderId: order.id, status: 'pending', paymentStatus: 'pending' });
-        await booking.save();
-        res.json({ success: true, order, bookingId: booking.bookingId });
-    } catch (err) {
-        console.error('Create order error:', err);
-        res.status(500).json({ success: false, message: "Error creating order" });
+    booking.inventoryReserved = true;
+    logger.info('Inventory reserved', { bookingId: booking.bookingId, roomType: booking.roomType, checkIn: nights[0], checkOut: toDateKey(booking.checkOut) });
+    return { success: true };
+}
+
+// Gives back every night of the booking, or only the nights from `fromDate` on
+// (an early check-out frees the rest of the stay), then offers the freed nights to
+// the waitlist unless `notifyWaitlist` is false
+async function releaseInventory(booking, { fromDate, notifyWaitlist = true } = {}) {
+    const released = await Booking.updateOne(
+        { _id: booking._id, inventoryReserved: true },
+        { $set: { inventoryReserved: false } }
+    );
+    booking.inventoryReserved = false;
+    if (released.modifiedCount === 0) {
+        return { success: true, alreadyReleased: true };
     }
-});
+    const nights = getNightsBetween(booking.checkIn, booking.checkOut).filter(date => !fromDate || date >= fromDate);
+    await releaseNights(booking.roomType, nights);
+    logger.info('Inventory released', { bookingId: booking.bookingId, roomType: booking.roomType, checkIn: toDateKey(booking.checkIn), checkOut: toDateKey(booking.checkOut), fromDate });
+    if (notifyWaitlist && nights.length > 0) {
+        await offerWaitlistedRooms(booking.roomType, { from: nights[0], to: toDateKey(booking.checkOut) });
+    }
+    return { success: true };
+}
 
-app.post("/api/payment/verify-payment", async (req, res) => {
+// Confirmed bookings created before the ledger existed still occupy their nights
+async function backfillRoomNights() {
     try {
-        await connectToDatabase();
-        const { razorpay_order_id, razorpay_payment_id, razorpay_signature, bookingId } = req.body;
-        const hmac = crypto.createHmac("sha256", process.env.RAZORPAY_KEY_SECRET);
-        hmac.update(razorpay_order_id + "|" + razorpay_payment_id);
-        const digest = hmac.digest("hex");
-        
-        if (digest === razorpay_signature) {
-            const booking = await Booking.findOne({ bookingId });
-            if (booking) {
-                await decreaseRoomAvailability(booking.roomType);
-                booking.status = 'confirmed';
-                booking.paymentStatus = 'completed';
-                booking.razorpayPaymentId = razorpay_payment_id;
-                booking.razorpaySignature = razorpay_signature;
-                await booking.save();
-                
-                let guest = await Guest.findOne({ email: { $regex: new RegExp(`^${booking.guestEmail}$`, 'i') } });
-                if (guest) {
-                    guest.bookings += 1;
-                    guest.lastBooking = new Date();
-                    await guest.save();
-                } else {
-                    guest = new Guest({
-                        name: booking.guestName,
-                        email: booking.guestEmail,
-                        phone: booking.guestPhone,
-                        bookings: 1,
-                        lastBooking: new Date()
-                    });
-                    await guest.save();
-                }
-                res.json({ success: true, booking: booking });
-            } else {
-                res.status(404).json({ success: false, message: 'Booking not found' });
-            }
-        } else {
-            const booking = await Booking.findOne({ bookingId });
-            if (booking) {
-                booking.status = 'cancelled';
-                booking.paymentStatus = 'failed';
-                await booking.save();
+        const bookings = await Booking.find({ status: { $in: ['confirmed', 'checked_in'] }, inventoryReserved: { $ne: true } });
+        for (const booking of bookings) {
+            const claimed = await Booking.updateOne(
+                { _id: booking._id, inventoryReserved: { $ne: true } },
+                { $set: { inventoryReserved: true } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+            for (const date of getNightsBetween(booking.checkIn, booking.checkOut)) {
+                await RoomNight.updateOne({ roomType: booking.roomType, date }, { $inc: { booked: 1 } }, { upsert: true });
             }
-            res.json({ success: false, message: 'Payment verification failed' });
+        }
+        if (bookings.length > 0) {
+            logger.info('Room night ledger backfilled', { bookings: bookings.length });
         }
     } catch (error) {
-        console.error('Verify payment error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+        logger.error('Room night backfill failed', { error });
     }
-});
+}
 
-// =====================================================
-// ROUTES - BOOKINGS (ADMIN)
-// =====================================================
-app.get('/api/bookings', verifyToken, async (req, res) => {
-    try {
-        await connectToDatabase();
-        const bookings = await Booking.find().sort({ bookingDate: -1 });
-        res.json({ success: true, bookings });
-    } catch (error) {
-        console.error('Get bookings error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
-    }
-});
+// Today's date at the hotel, as a 'YYYY-MM-DD' key
+function getHotelToday(now = new Date()) {
+    const [, sign, hours, minutes] = HOTEL_UTC_OFFSET.match(/([+-])(\d{2}):(\d{2})/);
+    const offsetMs = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+    return toDateKey(new Date(now.getTime() + offsetMs));
+}
 
-app.get('/api/bookings/:bookingId', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const booking = await Booking.findOne({ bookingId: req.params.bookingId });
-        if (!booking) {
-            return res.status(404).json({ success: false, message: 'Booking not found' });
-        }
-        res.json({ success: true, booking });
-    } catch (error) {
-        console.error('Get booking error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+// Moves a booking along BOOKING_TRANSITIONS, stamping the time and history and taking
+// or giving back inventory as the new status requires. The status write is conditional
+// on the status we started from, so two staff members can't apply conflicting moves.
+async function transitionBooking(booking, to, { by = 'system', reason } = {}) {
+    const from = booking.status;
+    if (!(BOOKING_TRANSITIONS[from] || []).includes(to)) {
+        return { success: false, message: `Cannot change booking from ${from} to ${to}` };
+    }
+    const today = getHotelToday();
+    if (to === 'checked_in' && (today < toDateKey(booking.checkIn) || today >= toDateKey(booking.checkOut))) {
+        return { success: false, message: 'Guests can only check in between the check-in and check-out dates' };
     }
-});
 
-app.put('/api/bookings/:id', verifyToken, async (req, res) => {
-    try {
-        await connectToDatabase();
-        const booking = await Booking.findByIdAndUpdate(req.params.id, { status: req.body.status }, { new: true });
-        res.json({ success: true, booking });
-    } catch (error) {
-        console.error('Update booking error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+    let reservedNow = false;
+    if (to === 'confirmed') {
+        const reservation = await reserveInventory(booking);
+        if (!reservation.success) return reservation;
+        reservedNow = !reservation.alreadyReserved;
     }
-});
 
-app.delete('/api/bookings/:id', verifyToken, async (req, res) => {
-    try {
-        await connectToDatabase();
-        await Booking.findByIdAndDelete(req.params.id);
-        res.json({ success: true, message: 'Booking deleted' });
-    } catch (error) {
-        console.error('Delete booking error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+    const now = new Date();
+    const updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: from },
+        {
+            $set: { status: to, [STATUS_TIMESTAMPS[to]]: now },
+            $push: { statusHistory: { from, to, at: now, by, reason } }
+        },
+        { new: true }
+    );
+    if (!updated) {
+        if (reservedNow) await releaseInventory(booking);
+        return { success: false, message: 'Booking was changed by another request, please retry' };
     }
-});
 
-app.post('/api/bookings', async (req, res) => {
-    try {
-        await connectToDatabase();
-        const booking = new Booking(req.body);
-        await booking.save();
-        if (booking.status === 'confirmed') {
-            await decreaseRoomAvailability(booking.roomType);
-        }
-        let guest = await Guest.findOne({ email: { $regex: new RegExp(`^${booking.guestEmail}$`, 'i') } });
-        if (guest) {
-            guest.bookings += 1;
-            guest.lastBooking = new Date();
-            await guest.save();
-        } else {
-            guest = new Guest({
-                name: booking.guestName,
-                email: booking.guestEmail,
-                phone: booking.guestPhone,
-                bookings: 1,
-                lastBooking: new Date()
-            });
-            await guest.save();
+    if (['cancelled', 'expired', 'no_show'].includes(to)) {
+        await releaseInventory(updated);
+    } else if (to === 'checked_out') {
+        await releaseInventory(updated, { fromDate: today });
+        if (updated.roomId) {
+            await Room.updateOne(
+                { _id: updated.roomId, status: { $ne: 'out_of_order' } },
+                { $set: { status: 'dirty', updatedAt: now } }
+            );
         }
-        res.json({ success: true, booking });
-    } catch (error) {
-        console.error('Create booking error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
     }
-});
+    countMetric('booking_status_changes_total', { status: to });
+    return { success: true, booking: updated };
+}
 
-// =====================================================
-// ROUTES - GUESTS (ADMIN)
-// =====================================================
-app.get('/api/guests', verifyToken, async (req, res) => {
-    try {
-        await connectToDatabase();
-        const guests = await Guest.find().sort({ lastBooking: -1 });
-        res.json({ success: true, guests });
-    } catch (error) {
-        console.error('Get guests error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+// Confirmed bookings whose check-in day has passed without the guest arriving
+async function markNoShows() {
+    const today = getHotelToday();
+    const missed = await Booking.find({ status: 'confirmed', checkIn: { $lt: today } });
+    const marked = [];
+    for (const booking of missed) {
+        const result = await transitionBooking(booking, 'no_show', { reason: 'Guest did not arrive' });
+        if (!result.success) continue;
+        await recordAudit({ action: 'booking.no_show', targetType: 'booking', targetId: booking.bookingId, before: booking, after: result.booking });
+        marked.push(booking.bookingId);
     }
-});
+    if (marked.length > 0) {
+        logger.info('Bookings marked as no-show', { count: marked.length });
+    }
+    return marked;
+}
 
+function isHoldExpired(booking, now = new Date()) {
+    return booking.status === 'expired' ||
+        (booking.status === 'pending' && booking.holdExpiresAt && booking.holdExpiresAt <= now);
+}
+
+// Moves a paid booking to confirmed. A live hold already owns its inventory;
+// anything else has to reserve it now. A paid booking whose hold expired, or
+// whose room sold out meanwhile, is parked in needs_refund for the admin panel.
+// Rooms of a group reservation (`forReservation`) leave the guest record and the
+// confirmation email to confirmReservation, which does them once for the group.
+async function confirmBooking(booking, payment, { forReservation = false } = {}) {
+    if (BOOKED_STATUSES.includes(booking.status)) {
+        return { success: true, booking };
+    }
+    const paymentFields = {
+        paymentStatus: 'completed',
+        razorpayPaymentId: payment.razorpayPaymentId,
+        razorpaySignature: payment.razorpaySignature
+    };
+    const parkForRefund = async (message) => {
+        await releaseInventory(booking);
+        const parked = await Booking.findByIdAndUpdate(
+            booking._id,
+            {
+                $set: { ...paymentFields, status: 'needs_refund', needsRefundAt: new Date() },
+                $push: { statusHistory: { from: booking.status, to: 'needs_refund', at: new Date(), by: 'razorpay', reason: message } }
+            },
+            { new: true }
+        );
+        countMetric('booking_status_changes_total', { status: 'needs_refund' });
+        logger.error('Paid booking not confirmed', { bookingId: booking.bookingId, reason: message });
+        return { success: false, message, booking: parked };
+    };
+
+    // Razorpay reports one payment several times (verify, payment.captured, order.paid,
+    // retried deliveries), so a late report must not undo what happened since, such as
+    // a cancellation and its refund. Only a lapsed hold is parked for a refund.
+    if (booking.status !== 'pending' && booking.status !== 'expired') {
+        if (payment.razorpayPaymentId && booking.razorpayPaymentId !== payment.razorpayPaymentId) {
+            logger.error('Payment reported for a booking that can no longer take it', { bookingId: booking.bookingId, status: booking.status, razorpayPaymentId: payment.razorpayPaymentId });
+        }
+        return { success: false, message: `Booking is ${booking.status}`, booking };
+    }
+    if (isHoldExpired(booking)) {
+        return { ...(await parkForRefund('Booking hold expired before payment was verified; a refund will be issued')), expired: true };
+    }
+
+    const reservation = await reserveInventory(booking);
+    if (!reservation.success) {
+        return { ...(await parkForRefund('Room sold out before payment completed; a refund will be issued')), overbooked: true };
+    }
+
+    const now = new Date();
+    const confirmed = await Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            status: 'pending',
+            $or: [{ holdExpiresAt: null }, { holdExpiresAt: { $gt: now } }]
+        },
+        {
+            $set: { ...paymentFields, status: 'confirmed', confirmedAt: now },
+            $unset: { holdExpiresAt: 1 },
+            $push: { statusHistory: { from: 'pending', to: 'confirmed', at: now, by: 'razorpay', reason: 'Payment verified' } }
+        },
+        { new: true }
+    );
+    if (!confirmed) {
+        const current = await Booking.findById(booking._id);
+        if (BOOKED_STATUSES.includes(current.status)) {
+            // A parallel request confirmed it first
+            return { success: true, booking: current };
+        }
+        // The sweeper expired the hold while we were reserving
+        return { ...(await parkForRefund('Booking hold expired before payment was verified; a refund will be issued')), expired: true };
+    }
+    if (!forReservation) {
+        await recordGuestBooking(confirmed);
+    }
+    await redeemPromoCode(confirmed);
+    await WaitlistEntry.updateOne(
+        { bookingId: confirmed.bookingId, status: { $in: ['offered', 'claimed'] } },
+        { $set: { status: 'booked' } }
+    );
+    if (!forReservation) {
+        await enqueueNotification(confirmed, 'booking_confirmed');
+    }
+    countMetric('booking_status_changes_total', { status: 'confirmed' });
+    return { success: true, booking: confirmed };
+}
+
+// Expires pending bookings whose checkout hold has lapsed and gives their rooms back.
+// Pending bookings from before holds existed are expired once they are a hold window old.
+async function expireStaleHolds() {
+    const now = new Date();
+    const legacyCutoff = new Date(now.getTime() - HOLD_MINUTES * 60 * 1000);
+    const staleFilter = {
+        status: 'pending',
+        $or: [
+            { holdExpiresAt: { $lte: now } },
+            { holdExpiresAt: null, bookingDate: { $lte: legacyCutoff } }
+        ]
+    };
+    const stale = await Booking.find(staleFilter, { _id: 1 });
+    const expiredIds = [];
+    for (const { _id } of stale) {
+        const expired = await Booking.findOneAndUpdate(
+            { _id, ...staleFilter },
+            {
+                $set: { status: 'expired', expiredDate: now },
+                $push: { statusHistory: { from: 'pending', to: 'expired', at: now, by: 'system', reason: 'Checkout hold expired' } }
+            },
+            { new: true }
+        );
+        if (!expired) continue;
+        // An unclaimed or unpaid waitlist offer lapses with its hold, before the room goes to the next guest
+        await WaitlistEntry.updateOne(
+            { bookingId: expired.bookingId, status: { $in: ['offered', 'claimed'] } },
+            { $set: { status: 'expired' } }
+        );
+        await releaseInventory(expired);
+        await recordAudit({
+            action: 'booking.expire',
+            targetType: 'booking',
+            targetId: expired.bookingId,
+            before: { status: 'pending' },
+            after: { status: 'expired' }
+        });
+        countMetric('booking_status_changes_total', { status: 'expired' });
+        expiredIds.push(expired.bookingId);
+    }
+    if (expiredIds.length > 0) {
+        logger.info('Stale holds expired', { count: expiredIds.length });
+    }
+    return expiredIds;
+}
+
+// Refunds that are pending or processed count against what can still be refunded
+function getRefundedAmount(booking) {
+    return booking.refunds
+        .filter(r => r.status !== 'failed')
+        .reduce((sum, r) => sum + r.amount, 0);
+}
+
+function getRefundableAmount(booking) {
+    if (!booking.razorpayPaymentId || !['completed', 'partially_refunded'].includes(booking.paymentStatus)) {
+        return 0;
+    }
+    return Math.max(booking.totalAmount - getRefundedAmount(booking), 0);
+}
+
+// The booking_cancelled email's data: the refund the policy allows and how issuing it went,
+// so a failed refund isn't reported to the guest as no refund being due
+function describeCancellationRefund(cancellation, refund) {
+    return {
+        refundAmount: cancellation.amount,
+        refundStatus: !refund ? 'none' : refund.success ? refund.refund.status : 'failed'
+    };
+}
+
+async function recordRefund(booking, refund, details = {}) {
+    const existing = booking.refunds.find(r => r.refundId === refund.id);
+    if (existing) {
+        // Webhooks can arrive before the refunds API call returns; never downgrade
+        if (existing.status !== 'processed') existing.status = refund.status;
+        existing.processedAt = refund.status === 'processed' ? new Date() : existing.processedAt;
+    } else {
+        booking.refunds.push({
+            refundId: refund.id,
+            amount: refund.amount / 100,
+            status: refund.status,
+            reason: details.reason,
+            initiatedBy: details.initiatedBy,
+            processedAt: refund.status === 'processed' ? new Date() : undefined
+        });
+    }
+    const refunded = getRefundedAmount(booking);
+    if (refunded > 0) {
+        booking.paymentStatus = refunded >= booking.totalAmount ? 'refunded' : 'partially_refunded';
+    }
+    await booking.save();
+    return booking;
+}
+
+async function getCancellationRules(roomType) {
+    const policy = await CancellationPolicy.findOne({ roomType });
+    return policy && policy.rules.length > 0 ? policy.rules : DEFAULT_CANCELLATION_RULES;
+}
+
+// Works out how much of a booking the policy refunds if it is cancelled at `now`
+async function calculateCancellationRefund(booking, now = new Date()) {
+    const checkInAt = new Date(`${toDateKey(booking.checkIn)}T${CHECK_IN_TIME}:00${HOTEL_UTC_OFFSET}`);
+    const hoursBeforeCheckIn = (checkInAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+    const rules = [...await getCancellationRules(booking.roomType)]
+        .sort((a, b) => b.minHoursBeforeCheckIn - a.minHoursBeforeCheckIn);
+    const rule = rules.find(r => hoursBeforeCheckIn >= r.minHoursBeforeCheckIn);
+    const refundPercent = rule ? rule.refundPercent : 0;
+    const amount = Math.min(
+        Math.round(booking.totalAmount * refundPercent) / 100,
+        getRefundableAmount(booking)
+    );
+    return { refundPercent, hoursBeforeCheckIn: Math.floor(hoursBeforeCheckIn), amount };
+}
+
+// Refunds part of a booking's payment through Razorpay and records the refund on the booking
+async function issueRefund(booking, amount, details = {}) {
+    const refundable = getRefundableAmount(booking);
+    if (!(amount > 0) || amount > refundable) {
+        return { success: false, message: `Refund amount must be between 0 and ${refundable}` };
+    }
+    try {
+        const refund = await razorpay.payments.refund(booking.razorpayPaymentId, {
+            amount: Math.round(amount * 100),
+            notes: { bookingId: booking.bookingId, reason: details.reason || '' }
+        });
+        await recordRefund(booking, refund, details);
+        logger.info('Refund issued', { bookingId: booking.bookingId, refundId: refund.id, amount });
+        countMetric('refunds_total', { outcome: 'issued' });
+        countMetric('refunded_amount_rupees_total', {}, amount);
+        return { success: true, refund: booking.refunds.find(r => r.refundId === refund.id) };
+    } catch (error) {
+        logger.error('Refund failed', { bookingId: booking.bookingId, amount, error });
+        countMetric('refunds_total', { outcome: 'failed' });
+        booking.refunds.push({ amount, status: 'failed', reason: details.reason, initiatedBy: details.initiatedBy });
+        await booking.save();
+        return { success: false, message: 'Refund could not be processed' };
+    }
+}
+
+async function handleRazorpayEvent(event) {
+    const payment = event.payload.payment && event.payload.payment.entity;
+    const order = event.payload.order && event.payload.order.entity;
+    const refund = event.payload.refund && event.payload.refund.entity;
+
+    switch (event.event) {
+        case 'payment.captured':
+        case 'order.paid': {
+            const orderId = (order && order.id) || (payment && payment.order_id);
+            const reservation = await Reservation.findOne({ razorpayOrderId: orderId });
+            if (reservation) {
+                const result = await confirmReservation(reservation, { razorpayPaymentId: payment && payment.id });
+                return { handled: true, bookingId: reservation.reservationId, confirmed: result.success };
+            }
+            const booking = await Booking.findOne({ razorpayOrderId: orderId });
+            if (!booking) return { handled: false, message: 'Booking not found' };
+            const result = await confirmBooking(booking, { razorpayPaymentId: payment && payment.id });
+            return { handled: true, bookingId: booking.bookingId, confirmed: result.success };
+        }
+        case 'payment.failed': {
+            // The guest may retry on the same order, so the hold is kept until it expires.
+            // A group reservation has one booking per room on the order; the guest hears about it once.
+            const bookings = await Booking.find({ razorpayOrderId: payment.order_id }).sort({ bookingId: 1 });
+            if (bookings.length === 0) return { handled: false, message: 'Booking not found' };
+            for (const booking of bookings.filter(b => b.status === 'pending')) {
+                booking.paymentStatus = 'failed';
+                await booking.save();
+            }
+            if (bookings[0].status === 'pending') {
+                await enqueueNotification(bookings[0], 'payment_failed', { key: `payment_failed:${payment.id}` });
+            }
+            return { handled: true, bookingId: bookings[0].reservationId || bookings[0].bookingId };
+        }
+        case 'refund.processed': {
+            // Rooms of a group share the order and payment, so the refund ID picks the room
+            const booking = await Booking.findOne({ 'refunds.refundId': refund.id }) || await Booking.findOne(
+                payment && payment.order_id
+                    ? { razorpayOrderId: payment.order_id }
+                    : { razorpayPaymentId: refund.payment_id }
+            );
+            if (!booking) return { handled: false, message: 'Booking not found' };
+            await recordRefund(booking, refund);
+            return { handled: true, bookingId: booking.bookingId };
+        }
+        default:
+            return { handled: false, message: `Ignored event ${event.event}` };
+    }
+}
+
+function isValidWebhookSignature(rawBody, signature) {
+    if (!RAZORPAY_WEBHOOK_SECRET || !rawBody || !signature) return false;
+    const expected = crypto.createHmac('sha256', RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+async function recordGuestBooking(booking) {
+    let guest = await Guest.findOne({ email: emailMatcher(booking.guestEmail) });
+    if (guest) {
+        guest.bookings += 1;
+        guest.lastBooking = new Date();
+        await guest.save();
+    } else {
+        guest = new Guest({
+            name: booking.guestName,
+            email: booking.guestEmail,
+            phone: booking.guestPhone,
+            bookings: 1,
+            lastBooking: new Date()
+        });
+        await guest.save();
+    }
+    return guest;
+}
+
+// =====================================================
+// PRICING
+// =====================================================
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getGstRate(nightlyTariff) {
+    return GST_SLABS.find(slab => nightlyTariff <= slab.upTo).rate;
+}
+
+function findRateOverride(ratePlan, date) {
+    const dayOfWeek = new Date(date + 'T00:00:00Z').getUTCDay();
+    const matches = ratePlan.overrides.filter(o =>
+        (!o.startDate || toDateKey(o.startDate) <= date) &&
+        (!o.endDate || toDateKey(o.endDate) >= date) &&
+        (!o.daysOfWeek || o.daysOfWeek.length === 0 || o.daysOfWeek.includes(dayOfWeek))
+    );
+    return matches.sort((a, b) => (b.priority || 0) - (a.priority || 0))[0];
+}
+
+// Prices a stay night by night from the room type and its rate plan. Client-sent amounts are never used.
+async function calculateQuote({ roomType, checkIn, checkOut, guests }) {
+    const nights = getNightsBetween(checkIn, checkOut);
+    if (nights.length === 0) {
+        return { success: false, message: 'Invalid check-in/check-out dates' };
+    }
+    const type = await getRoomType(roomType);
+    if (!type) {
+        return { success: false, message: `Unknown room type ${roomType}` };
+    }
+    const guestCount = Math.max(parseInt(guests, 10) || 1, 1);
+    if (guestCount > type.maxOccupancy) {
+        return { success: false, message: `${type.name} allows at most ${type.maxOccupancy} guests` };
+    }
+    const ratePlan = await RatePlan.findOne({ roomType: type.code }) ||
+        { baseOccupancy: type.maxOccupancy, extraGuestCharge: 0, overrides: [] };
+    const baseRate = typeof ratePlan.baseRate === 'number' ? ratePlan.baseRate : type.baseRate;
+    const extraGuests = Math.max(guestCount - ratePlan.baseOccupancy, 0);
+
+    const nightly = nights.map(date => {
+        const override = findRateOverride(ratePlan, date);
+        let rate = baseRate;
+        if (override && typeof override.rate === 'number') {
+            rate = override.rate;
+        } else if (override && typeof override.adjustmentPercent === 'number') {
+            rate = baseRate * (1 + override.adjustmentPercent / 100);
+        }
+        rate = roundMoney(rate);
+        const surcharge = roundMoney(extraGuests * ratePlan.extraGuestCharge);
+        const amount = roundMoney(rate + surcharge);
+        const gstRate = getGstRate(amount);
+        return {
+            date,
+            rate,
+            rateSource: override ? override.name : 'base',
+            surcharge,
+            amount,
+            gstRate,
+            gst: roundMoney(amount * gstRate / 100)
+        };
+    });
+
+    const subtotal = roundMoney(nightly.reduce((sum, n) => sum + n.amount, 0));
+    const tax = roundMoney(nightly.reduce((sum, n) => sum + n.gst, 0));
+    return {
+        success: true,
+        quote: {
+            roomType: type.code,
+            checkIn: nights[0],
+            checkOut: toDateKey(checkOut),
+            nights: nights.length,
+            guests: guestCount,
+            extraGuests,
+            currency: 'INR',
+            nightly,
+            subtotal,
+            discount: 0,
+            taxableAmount: subtotal,
+            tax,
+            total: roundMoney(subtotal + tax)
+        }
+    };
+}
+
+// Spreads a pre-tax discount across the nights in proportion to their amount and
+// recomputes GST on what is left
+function applyQuoteDiscount(quote, discount, promoCode) {
+    let remaining = discount;
+    const nightly = quote.nightly.map((night, index) => {
+        const nightDiscount = index === quote.nightly.length - 1
+            ? roundMoney(remaining)
+            : roundMoney(discount * night.amount / quote.subtotal);
+        remaining -= nightDiscount;
+        // The slab follows the tariff actually charged, so a discount can lower it
+        const gstRate = getGstRate(night.amount - nightDiscount);
+        return {
+            ...night,
+            discount: nightDiscount,
+            gstRate,
+            gst: roundMoney((night.amount - nightDiscount) * gstRate / 100)
+        };
+    });
+    const taxableAmount = roundMoney(quote.subtotal - discount);
+    const tax = roundMoney(nightly.reduce((sum, n) => sum + n.gst, 0));
+    return { ...quote, nightly, promoCode, discount, taxableAmount, tax, total: roundMoney(taxableAmount + tax) };
+}
+
+async function countPromoRedemptions(code, guestEmail) {
+    return Booking.countDocuments({
+        promoCode: code,
+        guestEmail: emailMatcher(guestEmail),
+        status: { $in: BOOKED_STATUSES }
+    });
+}
+
+// Checks a promo code against a quote and returns the discounted quote
+async function applyPromoCode(code, quote, guestEmail, now = new Date()) {
+    const promo = await PromoCode.findOne({ code: String(code || '').trim().toUpperCase() });
+    if (!promo || !promo.active) {
+        return { success: false, message: 'Invalid promo code' };
+    }
+    const today = toDateKey(now);
+    if ((promo.validFrom && toDateKey(promo.validFrom) > today) || (promo.validUntil && toDateKey(promo.validUntil) < today)) {
+        return { success: false, message: 'Promo code is not valid today' };
+    }
+    if (promo.roomTypes.length > 0 && !promo.roomTypes.includes(quote.roomType)) {
+        return { success: false, message: 'Promo code does not apply to this room type' };
+    }
+    if (quote.nights < promo.minNights) {
+        return { success: false, message: `Promo code needs a stay of at least ${promo.minNights} nights` };
+    }
+    if (typeof promo.usageLimit === 'number' && promo.usedCount >= promo.usageLimit) {
+        return { success: false, message: 'Promo code has been fully redeemed' };
+    }
+    if (typeof promo.perGuestLimit === 'number' && guestEmail &&
+        await countPromoRedemptions(promo.code, guestEmail) >= promo.perGuestLimit) {
+        return { success: false, message: 'Promo code already used the maximum number of times' };
+    }
+
+    let discount = promo.discountType === 'flat'
+        ? promo.discountValue
+        : quote.subtotal * promo.discountValue / 100;
+    if (typeof promo.maxDiscount === 'number') {
+        discount = Math.min(discount, promo.maxDiscount);
+    }
+    discount = roundMoney(Math.min(discount, quote.subtotal));
+    return { success: true, promo, quote: applyQuoteDiscount(quote, discount, promo.code) };
+}
+
+async function redeemPromoCode(booking) {
+    if (!booking.promoCode) return;
+    await PromoCode.updateOne({ code: booking.promoCode }, { $inc: { usedCount: 1 } });
+}
+
+function quoteToBookingFields(quote) {
+    return {
+        nights: quote.nights,
+        guests: quote.guests,
+        roomPrice: roundMoney(quote.subtotal / quote.nights),
+        subtotal: quote.subtotal,
+        taxAmount: quote.tax,
+        totalAmount: quote.total,
+        promoCode: quote.promoCode,
+        discountAmount: quote.discount,
+        priceBreakdown: quote.nightly
+    };
+}
+
+// =====================================================
+// INVOICES
+// =====================================================
+// Paid bookings, including ones that were later refunded in part or in full
+const INVOICEABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Indian financial year (April to March) of a 'YYYY-MM-DD' key, e.g. '2026-27'
+function getFinancialYear(dateKey) {
+    const [year, month] = dateKey.split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+// Draws the next number in a series for `owner` (e.g. 'invoice:MG123'), or returns the one
+// it already claimed on an attempt whose save failed. The increment and the claim are one
+// update, so a number is never drawn without being recorded against its owner.
+async function nextDocumentNumber(series, owner) {
+    const claimed = await DocumentCounter.findOne({ series, 'claims.owner': owner }, { 'claims.$': 1 });
+    let seq = claimed && claimed.claims[0].seq;
+    if (!seq) {
+        const counter = await DocumentCounter.findOneAndUpdate(
+            { series },
+            [
+                { $set: { seq: { $add: [{ $ifNull: ['$seq', 0] }, 1] } } },
+                { $set: { claims: { $concatArrays: [{ $ifNull: ['$claims', []] }, [{ owner, seq: '$seq' }]] } } }
+            ],
+            { upsert: true, new: true }
+        );
+        seq = counter.seq;
+    }
+    return `${INVOICE_PREFIX}/${series}/${String(seq).padStart(6, '0')}`;
+}
+
+// Called once the numbers are stored on their documents
+async function releaseDocumentClaims(owners) {
+    if (owners.length > 0) {
+        await DocumentCounter.updateMany({ 'claims.owner': { $in: owners } }, { $pull: { claims: { owner: { $in: owners } } } });
+    }
+}
+
+// Accommodation is taxed where the hotel is, so GST is always split into CGST and SGST
+function splitGst(gst) {
+    const cgst = roundMoney(gst / 2);
+    return { cgst, sgst: roundMoney(gst - cgst) };
+}
+
+function buildInvoiceSnapshot(booking, { number, financialYear, issuedAt }) {
+    // Bookings priced before nightly breakdowns were stored get a single line
+    const nights = booking.priceBreakdown && booking.priceBreakdown.length > 0
+        ? booking.priceBreakdown
+        : [{
+            date: `${booking.checkIn} to ${booking.checkOut}`,
+            amount: booking.subtotal || booking.totalAmount,
+            discount: booking.discountAmount || 0,
+            gstRate: booking.subtotal > (booking.discountAmount || 0)
+                ? roundMoney((booking.taxAmount || 0) * 100 / (booking.subtotal - (booking.discountAmount || 0)))
+                : 0,
+            gst: booking.taxAmount || 0
+        }];
+    const lines = nights.map(night => {
+        const taxable = roundMoney(night.amount - (night.discount || 0));
+        return {
+            date: night.date,
+            description: `${booking.roomType} room${night.rateSource && night.rateSource !== 'base' ? ` (${night.rateSource})` : ''}`,
+            amount: night.amount,
+            discount: night.discount || 0,
+            taxable,
+            gstRate: night.gstRate,
+            ...splitGst(night.gst)
+        };
+    });
+    const sum = field => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+    const taxable = sum('taxable');
+    const cgst = sum('cgst');
+    const sgst = sum('sgst');
+    return {
+        number,
+        financialYear,
+        issuedAt,
+        seller: { name: HOTEL_NAME, gstin: HOTEL_GSTIN, address: HOTEL_ADDRESS, state: HOTEL_STATE },
+        buyer: { name: booking.guestName, email: booking.guestEmail, phone: booking.guestPhone },
+        bookingId: booking.bookingId,
+        roomType: booking.roomType,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        nights: booking.nights,
+        guests: booking.guests,
+        sac: ACCOMMODATION_SAC,
+        promoCode: booking.promoCode,
+        lines,
+        totals: {
+            amount: sum('amount'),
+            discount: sum('discount'),
+            taxable,
+            cgst,
+            sgst,
+            tax: roundMoney(cgst + sgst),
+            total: roundMoney(taxable + cgst + sgst)
+        },
+        payment: {
+            razorpayPaymentId: booking.razorpayPaymentId,
+            razorpayOrderId: booking.razorpayOrderId,
+            paidAt: booking.confirmedAt
+        }
+    };
+}
+
+// Numbers the invoice and any credit notes a booking still needs. Numbers are taken
+// while holding a per-booking lock and claimed for their document until it is saved, so
+// a failed save is retried with the same numbers and each financial year's series stays gap-free.
+async function issueInvoiceDocuments(booking) {
+    if (!INVOICEABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+        return { success: false, message: 'Invoices are only available for paid bookings' };
+    }
+    const needsCreditNote = r => r.status !== 'failed' && !r.creditNoteNumber;
+    if (booking.invoice && booking.invoice.number && !booking.refunds.some(needsCreditNote)) {
+        return { success: true, booking, issued: false };
+    }
+    const now = new Date();
+    const locked = await Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            $or: [{ 'invoice.issuingAt': null }, { 'invoice.issuingAt': { $lt: new Date(now.getTime() - 60 * 1000) } }]
+        },
+        { $set: { 'invoice.issuingAt': now } },
+        { new: true }
+    );
+    if (!locked) {
+        return { success: false, message: 'Invoice is being generated, please try again' };
+    }
+    const financialYear = getFinancialYear(getHotelToday(now));
+    const issued = !locked.invoice.number;
+    const owners = [];
+    if (issued) {
+        const owner = `invoice:${locked.bookingId}`;
+        owners.push(owner);
+        const number = await nextDocumentNumber(`INV/${financialYear}`, owner);
+        locked.invoice.snapshot = buildInvoiceSnapshot(locked, { number, financialYear, issuedAt: now });
+        locked.invoice.number = number;
+        locked.invoice.financialYear = financialYear;
+        locked.invoice.issuedAt = now;
+    }
+    for (const refund of locked.refunds.filter(needsCreditNote)) {
+        const owner = `refund:${refund.refundId}`;
+        owners.push(owner);
+        refund.creditNoteNumber = await nextDocumentNumber(`CN/${financialYear}`, owner);
+        refund.creditNoteIssuedAt = now;
+    }
+    locked.invoice.issuingAt = undefined;
+    try {
+        await locked.save();
+    } catch (error) {
+        // Free the lock for an immediate retry; the claimed numbers wait for it
+        await Booking.updateOne({ _id: locked._id }, { $unset: { 'invoice.issuingAt': 1 } });
+        throw error;
+    }
+    await releaseDocumentClaims(owners);
+    return { success: true, booking: locked, issued };
+}
+
+// Credit notes reverse a refund's share of the invoice's taxable value and GST
+function buildCreditNotes(booking) {
+    const { totals } = booking.invoice.snapshot;
+    return booking.refunds
+        .filter(refund => refund.creditNoteNumber)
+        .map(refund => {
+            const taxable = totals.total > 0 ? roundMoney(refund.amount * totals.taxable / totals.total) : refund.amount;
+            return {
+                number: refund.creditNoteNumber,
+                issuedAt: refund.creditNoteIssuedAt,
+                refundId: refund.refundId,
+                reason: refund.reason,
+                amount: refund.amount,
+                taxable,
+                ...splitGst(roundMoney(refund.amount - taxable))
+            };
+        });
+}
+
+function formatAmount(amount) {
+    return Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Draws the stored invoice and its credit notes. Everything printed comes from
+// stored data, so the same booking always renders the same document.
+function renderInvoicePdf(invoice, creditNotes) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Tax Invoice ${invoice.number}`, CreationDate: new Date(invoice.issuedAt) } });
+    const left = 50;
+    const row = (cells, y, options = {}) => {
+        const widths = [80, 150, 60, 55, 60, 45, 45];
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+                .text(String(cell), x, y, { width: widths[index], align: index < 2 ? 'left' : 'right' });
+            x += widths[index];
+        });
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text(invoice.seller.name, left, 50);
+    doc.font('Helvetica').fontSize(9)
+        .text(invoice.seller.address)
+        .text(`State: ${invoice.seller.state}`)
+        .text(`GSTIN: ${invoice.seller.gstin || 'Not registered'}`);
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', 350, 50, { width: 195, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`Invoice No: ${invoice.number}`, 350, 72, { width: 195, align: 'right' })
+        .text(`Date: ${toDateKey(new Date(invoice.issuedAt))}`, { width: 195, align: 'right' })
+        .text(`Booking: ${invoice.bookingId}`, { width: 195, align: 'right' });
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, 130);
+    doc.font('Helvetica').fontSize(9)
+        .text(invoice.buyer.name)
+        .text(invoice.buyer.email)
+        .text(invoice.buyer.phone);
+    doc.text(`Stay: ${invoice.checkIn} to ${invoice.checkOut} (${invoice.nights} night${invoice.nights === 1 ? '' : 's'}), ${invoice.guests} guest${invoice.guests === 1 ? '' : 's'}`, 300, 144, { width: 245 })
+        .text(`Place of supply: ${invoice.seller.state}`, { width: 245 })
+        .text(`SAC: ${invoice.sac} (Accommodation services)`, { width: 245 });
+
+    let y = 210;
+    row(['Night', 'Description', 'Tariff', 'Discount', 'Taxable', 'GST %', 'GST'], y, { bold: true });
+    y += 16;
+    for (const line of invoice.lines) {
+        row([line.date, line.description, formatAmount(line.amount), formatAmount(line.discount), formatAmount(line.taxable),
+            `${line.gstRate}%`, formatAmount(line.cgst + line.sgst)], y);
+        y += 14;
+        if (y > 720) { doc.addPage(); y = 50; }
+    }
+    y += 10;
+    const totals = [
+        ['Tariff', invoice.totals.amount],
+        [`Discount${invoice.promoCode ? ` (${invoice.promoCode})` : ''}`, -invoice.totals.discount],
+        ['Taxable value', invoice.totals.taxable],
+        ['CGST', invoice.totals.cgst],
+        ['SGST', invoice.totals.sgst],
+        ['Total (INR)', invoice.totals.total]
+    ];
+    for (const [label, amount] of totals) {
+        const bold = label.startsWith('Total');
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+            .text(label, 345, y, { width: 110 })
+            .text(formatAmount(amount), 455, y, { width: 90, align: 'right' });
+        y += 14;
+    }
+
+    y += 10;
+    doc.font('Helvetica-Bold').fontSize(10).text('Payment', left, y);
+    doc.font('Helvetica').fontSize(9)
+        .text(`Razorpay payment: ${invoice.payment.razorpayPaymentId || '-'}`)
+        .text(`Razorpay order: ${invoice.payment.razorpayOrderId || '-'}`)
+        .text(`Paid on: ${invoice.payment.paidAt ? toDateKey(new Date(invoice.payment.paidAt)) : '-'}`);
+
+    for (const note of creditNotes) {
+        doc.moveDown();
+        if (doc.y > 700) doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(10).text(`CREDIT NOTE ${note.number}`, left);
+        doc.font('Helvetica').fontSize(9)
+            .text(`Date: ${toDateKey(new Date(note.issuedAt))}   Against invoice: ${invoice.number}   Refund: ${note.refundId}`)
+            .text(`Reason: ${note.reason || 'Refund'}`)
+            .text(`Taxable value: ${formatAmount(note.taxable)}   CGST: ${formatAmount(note.cgst)}   SGST: ${formatAmount(note.sgst)}   Total (INR): ${formatAmount(note.amount)}`);
+    }
+
+    doc.font('Helvetica').fontSize(8).text('This is a computer-generated invoice and does not require a signature.', left, 780, { width: 495, align: 'center' });
+    doc.end();
+    return doc;
+}
+
+// =====================================================
+// ANALYTICS
+// =====================================================
+const ANALYTICS_GROUPINGS = ['day', 'week', 'month'];
+const ANALYTICS_MAX_DAYS = 3 * 366;
+const ANALYTICS_QUERY = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    groupBy: { type: 'string', values: ANALYTICS_GROUPINGS }
+};
+// Bookings whose nights count as occupied; no-shows are paid for but the room stood empty
+const OCCUPYING_STATUSES = ['confirmed', 'checked_in', 'checked_out'];
+
+// Reads ?from=&to=&groupBy= (dates inclusive), defaulting to the last 30 days by day
+function parseAnalyticsQuery(query) {
+    const to = query.to ? toDateKey(query.to) : getHotelToday();
+    const from = query.from ? toDateKey(query.from) : toDateKey(new Date(Date.parse(to) - 29 * DAY_MS));
+    const groupBy = query.groupBy || 'day';
+    if (!from || !to || from > to) {
+        return { success: false, message: 'from and to must be valid dates with from on or before to' };
+    }
+    if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+        return { success: false, message: `groupBy must be one of ${ANALYTICS_GROUPINGS.join(', ')}` };
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (days > ANALYTICS_MAX_DAYS) {
+        return { success: false, message: `Date range cannot exceed ${ANALYTICS_MAX_DAYS} days` };
+    }
+    return { success: true, from, to, groupBy, days };
+}
+
+// Bucket a night falls in: the day itself, the Monday of its week or the first of its month.
+// Must agree with analyticsBucketExpression.
+function getAnalyticsBucket(dateKey, groupBy) {
+    if (groupBy === 'month') return `${dateKey.slice(0, 7)}-01`;
+    if (groupBy === 'week') {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        return toDateKey(new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS));
+    }
+    return dateKey;
+}
+
+function analyticsBucketExpression(groupBy) {
+    const date = { $dateFromString: { dateString: '$date', timezone: 'UTC' } };
+    const unit = groupBy === 'week' ? { unit: 'week', startOfWeek: 'monday' } : { unit: groupBy };
+    return { $dateToString: { format: '%Y-%m-%d', date: { $dateTrunc: { date, ...unit } } } };
+}
+
+// One document per sold night inside the range: { roomType, date, revenue, occupied }.
+// Revenue is the room tariff after discounts and before GST. Bookings priced before
+// nightly breakdowns were stored have their net amount spread evenly over their nights.
+function stayNightsPipeline(from, to) {
+    const legacyNightly = {
+        $divide: [
+            { $subtract: [{ $ifNull: ['$subtotal', '$totalAmount'] }, { $ifNull: ['$discountAmount', 0] }] },
+            { $max: ['$nights', 1] }
+        ]
+    };
+    return [
+        { $match: { status: { $in: BOOKED_STATUSES }, checkIn: { $lte: to }, checkOut: { $gt: from } } },
+        {
+            $project: {
+                roomType: 1,
+                occupied: { $in: ['$status', OCCUPYING_STATUSES] },
+                night: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$priceBreakdown', []] } }, 0] },
+                        {
+                            $map: {
+                                input: '$priceBreakdown',
+                                as: 'n',
+                                in: { date: '$$n.date', revenue: { $subtract: ['$$n.amount', { $ifNull: ['$$n.discount', 0] }] } }
+                            }
+                        },
+                        {
+                            $map: {
+                                input: { $range: [0, '$nights'] },
+                                as: 'i',
+                                in: {
+                                    date: {
+                                        $dateToString: {
+                                            format: '%Y-%m-%d',
+                                            date: { $add: [{ $dateFromString: { dateString: '$checkIn', timezone: 'UTC' } }, { $multiply: ['$$i', DAY_MS] }] }
+                                        }
+                                    },
+                                    revenue: legacyNightly
+                                }
+                            }
+                        }
+                    ]
+                }
+            }
+        },
+        { $unwind: '$night' },
+        { $project: { roomType: 1, occupied: 1, date: '$night.date', revenue: '$night.revenue' } },
+        { $match: { date: { $gte: from, $lte: to } } }
+    ];
+}
+
+function calculateRoomKpis(roomNightsSold, revenue, roomNightsAvailable) {
+    return {
+        roomNightsAvailable,
+        roomNightsSold,
+        revenue: roundMoney(revenue),
+        occupancyRate: roomNightsAvailable > 0 ? roundMoney(roomNightsSold * 100 / roomNightsAvailable) : 0,
+        adr: roomNightsSold > 0 ? roundMoney(revenue / roomNightsSold) : 0,
+        revpar: roomNightsAvailable > 0 ? roundMoney(revenue / roomNightsAvailable) : 0
+    };
+}
+
+// Occupancy, ADR and RevPAR per bucket. Available room nights use today's capacity,
+// as past inventory levels are not recorded.
+async function getOccupancySeries({ from, to, groupBy, days }) {
+    const capacity = await getCapacityByRoomType();
+    const totalCapacity = Object.values(capacity).reduce((sum, count) => sum + count, 0);
+    const sold = await Booking.aggregate([
+        ...stayNightsPipeline(from, to),
+        {
+            $group: {
+                _id: analyticsBucketExpression(groupBy),
+                roomNightsSold: { $sum: { $cond: ['$occupied', 1, 0] } },
+                revenue: { $sum: '$revenue' }
+            }
+        }
+    ]);
+    const byBucket = new Map(sold.map(row => [row._id, row]));
+    const daysInBucket = new Map();
+    for (let i = 0; i < days; i++) {
+        const bucket = getAnalyticsBucket(toDateKey(new Date(Date.parse(from) + i * DAY_MS)), groupBy);
+        daysInBucket.set(bucket, (daysInBucket.get(bucket) || 0) + 1);
+    }
+    return [...daysInBucket].map(([period, bucketDays]) => {
+        const row = byBucket.get(period) || { roomNightsSold: 0, revenue: 0 };
+        return { period, ...calculateRoomKpis(row.roomNightsSold, row.revenue, totalCapacity * bucketDays) };
+    });
+}
+
+async function getRevenueByRoomType({ from, to, days }) {
+    const capacity = await getCapacityByRoomType();
+    const rows = await Booking.aggregate([
+        ...stayNightsPipeline(from, to),
+        {
+            $group: {
+                _id: '$roomType',
+                roomNightsSold: { $sum: { $cond: ['$occupied', 1, 0] } },
+                revenue: { $sum: '$revenue' }
+            }
+        },
+        { $sort: { revenue: -1 } }
+    ]);
+    return rows.map(row => ({
+        roomType: row._id,
+        ...calculateRoomKpis(row.roomNightsSold, row.revenue, (capacity[row._id] || 0) * days)
+    }));
+}
+
+// Booking-level KPIs. Cancellation rate and lead time look at bookings made in the
+// range; length of stay and repeat guests at stays arriving in the range.
+async function getBookingKpis({ from, to }) {
+    const madeFrom = new Date(`${from}T00:00:00${HOTEL_UTC_OFFSET}`);
+    const madeTo = new Date(Date.parse(`${to}T00:00:00${HOTEL_UTC_OFFSET}`) + DAY_MS);
+    const [made] = await Booking.aggregate([
+        // Only bookings that were paid for: abandoned checkouts are neither sales nor cancellations
+        { $match: { bookingDate: { $gte: madeFrom, $lt: madeTo }, status: { $in: [...BOOKED_STATUSES, 'cancelled'] }, confirmedAt: { $ne: null } } },
+        {
+            $group: {
+                _id: null,
+                bookings: { $sum: 1 },
+                cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+                averageLeadTimeDays: {
+                    $avg: {
+                        $divide: [
+                            { $subtract: [{ $dateFromString: { dateString: '$checkIn', timezone: HOTEL_UTC_OFFSET } }, '$bookingDate'] },
+                            DAY_MS
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+    const [stays] = await Booking.aggregate([
+        { $match: { status: { $in: BOOKED_STATUSES }, checkIn: { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: null,
+                stays: { $sum: 1 },
+                averageLengthOfStay: { $avg: '$nights' },
+                guestEmails: { $addToSet: '$guestEmail' }
+            }
+        },
+        { $unwind: '$guestEmails' },
+        { $lookup: { from: Guest.collection.name, localField: 'guestEmails', foreignField: 'email', as: 'guest' } },
+        {
+            $group: {
+                _id: null,
+                stays: { $first: '$stays' },
+                averageLengthOfStay: { $first: '$averageLengthOfStay' },
+                guests: { $sum: 1 },
+                repeatGuests: { $sum: { $cond: [{ $gt: [{ $max: '$guest.bookings' }, 1] }, 1, 0] } }
+            }
+        }
+    ]);
+    return {
+        bookingsMade: made ? made.bookings : 0,
+        cancellations: made ? made.cancelled : 0,
+        cancellationRate: made && made.bookings > 0 ? roundMoney(made.cancelled * 100 / made.bookings) : 0,
+        averageLeadTimeDays: made ? roundMoney(Math.max(made.averageLeadTimeDays, 0)) : 0,
+        stays: stays ? stays.stays : 0,
+        averageLengthOfStay: stays ? roundMoney(stays.averageLengthOfStay) : 0,
+        guests: stays ? stays.guests : 0,
+        repeatGuests: stays ? stays.repeatGuests : 0,
+        repeatGuestShare: stays && stays.guests > 0 ? roundMoney(stays.repeatGuests * 100 / stays.guests) : 0
+    };
+}
+
+// =====================================================
+// REQUEST VALIDATION
+// =====================================================
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// E.164: '+', country code, up to 15 digits in all
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_STRING_LENGTH = 500;
+
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches an email regardless of case; records saved before emails were
+// normalised may still be mixed case
+function emailMatcher(email) {
+    return new RegExp(`^${escapeRegex(email)}$`, 'i');
+}
+
+// Indian numbers may be sent as 10 digits, with a leading 0 or with 91; anything
+// else must already carry its country code
+function normalisePhone(value) {
+    const digits = String(value).replace(/[\s().-]/g, '');
+    let phone = digits;
+    if (/^0?[6-9]\d{9}$/.test(digits)) phone = `+91${digits.slice(-10)}`;
+    else if (/^91[6-9]\d{9}$/.test(digits)) phone = `+${digits}`;
+    else if (digits.startsWith('00')) phone = `+${digits.slice(2)}`;
+    return PHONE_PATTERN.test(phone) ? phone : null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Each type checks a value and returns { value } normalised, or { error }
+const FIELD_TYPES = {
+    string(value, rule) {
+        if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be text' };
+        const text = String(value).trim();
+        if (rule.min !== undefined && text.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+        if (text.length > (rule.max || MAX_STRING_LENGTH)) return { error: `must be at most ${rule.max || MAX_STRING_LENGTH} characters` };
+        if (rule.values && !rule.values.includes(text)) return { error: `must be one of ${rule.values.join(', ')}` };
+        if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || 'has an invalid format' };
+        return { value: text };
+    },
+    email(value) {
+        const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+        return EMAIL_PATTERN.test(email) && email.length <= 254 ? { value: email } : { error: 'must be a valid email address' };
+    },
+    phone(value) {
+        const phone = typeof value === 'string' || typeof value === 'number' ? normalisePhone(value) : null;
+        return phone ? { value: phone } : { error: 'must be a valid phone number' };
+    },
+    date(value) {
+        return typeof value === 'string' && DATE_PATTERN.test(value) && toDateKey(value) === value
+            ? { value }
+            : { error: 'must be a date in YYYY-MM-DD format' };
+    },
+    datetime(value) {
+        const date = typeof value === 'string' ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? { value: date } : { error: 'must be a valid date and time' };
+    },
+    number(value, rule) {
+        // Query strings only ever carry text
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+        if (rule.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+        if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+        if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+        return { value: number };
+    },
+    boolean(value) {
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    },
+    objectId(value) {
+        return typeof value === 'string' && /^[a-f\d]{24}$/i.test(value) ? { value } : { error: 'must be a valid id' };
+    }
+};
+
+// Validates a value against a rule and returns { value, errors }. Objects keep only
+// the fields their rule lists; arrays and maps check every entry.
+function validateValue(value, rule, field) {
+    // An empty string only counts as a value for free text, so optional text can be cleared
+    if (value === undefined || value === null || (value === '' && (rule.required || rule.type !== 'string' || rule.values || rule.pattern))) {
+        if (rule.required) return { errors: [{ field, message: `${field} is required` }] };
+        return { value: rule.default, errors: [] };
+    }
+    const errors = [];
+    if (rule.type === 'object' || rule.type === 'map') {
+        if (!isPlainObject(value)) return { errors: [{ field, message: `${field || 'Request body'} must be an object` }] };
+        const result = {};
+        const entries = rule.type === 'object'
+            ? Object.entries(rule.fields).map(([key, fieldRule]) => [key, fieldRule])
+            : Object.keys(value).map(key => [key, rule.of]);
+        for (const [key, fieldRule] of entries) {
+            const path = field ? `${field}.${key}` : key;
+            if (rule.type === 'map' && rule.key && !rule.key.test(key)) {
+                errors.push({ field: path, message: `${path} is not a valid key` });
+                continue;
+            }
+            const checked = validateValue(value[key], fieldRule, path);
+            errors.push(...checked.errors);
+            if (checked.value !== undefined) result[key] = checked.value;
+        }
+        return { value: result, errors };
+    }
+    if (rule.type === 'array') {
+        if (!Array.isArray(value)) return { errors: [{ field, message: `${field} must be a list` }] };
+        if (value.length > (rule.max || 100)) return { errors: [{ field, message: `${field} can have at most ${rule.max || 100} entries` }] };
+        const result = value.map((item, index) => {
+            const checked = validateValue(item, { required: true, ...rule.items }, `${field}[${index}]`);
+            errors.push(...checked.errors);
+            return checked.value;
+        });
+        return { value: result, errors };
+    }
+    const checked = FIELD_TYPES[rule.type](value, rule);
+    if (checked.error) return { errors: [{ field, message: `${field} ${checked.error}` }] };
+    return { value: checked.value, errors };
+}
+
+// Validates req.params, req.query and req.body against field rules (or a single
+// rule for a body that isn't a fixed set of fields) and replaces them with the
+// cleaned values. `check` adds errors that depend on more than one field.
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+    for (const part of ['params', 'query', 'body']) {
+        if (!schema[part]) continue;
+        const rule = typeof schema[part].type === 'string' ? schema[part] : { type: 'object', fields: schema[part] };
+        const result = validateValue(req[part] === undefined ? {} : req[part], { ...rule, required: false }, '');
+        errors.push(...result.errors);
+        req[part] = result.value || {};
+    }
+    if (errors.length === 0 && schema.check) {
+        errors.push(...schema.check(req));
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.map(e => e.message).join('; '), errors });
+    }
+    next();
+};
+
+// Field rules shared by several routes
+const ID_PARAMS = { id: { type: 'objectId', required: true } };
+const BOOKING_ID_RULE = { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/, patternMessage: 'may only contain letters, digits, - and _' };
+const ROOM_TYPE_CODE_RULE = { type: 'string', max: 40, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'is not a valid room type code' };
+const GUEST_FIELDS = {
+    guestName: { type: 'string', required: true, max: 100 },
+    guestEmail: { type: 'email', required: true },
+    guestPhone: { type: 'phone', required: true }
+};
+const STAY_FIELDS = {
+    roomType: { ...ROOM_TYPE_CODE_RULE, required: true },
+    checkIn: { type: 'date', required: true },
+    checkOut: { type: 'date', required: true },
+    guests: { type: 'number', integer: true, min: 1, max: 20 }
+};
+// checkOut after checkIn; `future` also refuses stays starting before today
+function checkStayDates(stay, { prefix = '', future = false } = {}) {
+    if (!stay || !stay.checkIn || !stay.checkOut) return [];
+    if (stay.checkOut <= stay.checkIn) {
+        return [{ field: `${prefix}checkOut`, message: `${prefix}checkOut must be after ${prefix}checkIn` }];
+    }
+    if (future && stay.checkIn < getHotelToday()) {
+        return [{ field: `${prefix}checkIn`, message: `${prefix}checkIn cannot be in the past` }];
+    }
+    return [];
+}
+
+// =====================================================
+// LISTING & PAGINATION
+// =====================================================
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const BOOKING_SORT_FIELDS = ['bookingDate', 'checkIn', 'checkOut', 'totalAmount', 'guestName'];
+const GUEST_SORT_FIELDS = ['lastBooking', 'bookings', 'name'];
+
+// Query parameters accepted by the listing routes
+const LIST_QUERY = {
+    sort: { type: 'string', max: 30 },
+    limit: { type: 'number', integer: true, min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string', max: 500 },
+    q: { type: 'string', max: 100 }
+};
+const BOOKING_FILTER_QUERY = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    dateField: { type: 'string', values: ['checkIn', 'bookingDate'] },
+    checkInFrom: { type: 'date' },
+    checkInTo: { type: 'date' },
+    checkOutFrom: { type: 'date' },
+    checkOutTo: { type: 'date' },
+    status: { type: 'string', max: 200 },
+    roomType: { type: 'string', max: 200 },
+    paymentStatus: { type: 'string', max: 200 },
+    reservationId: BOOKING_ID_RULE,
+    q: { type: 'string', max: 100 }
+};
+
+// Case-insensitive "contains" match of ?q= across the given fields
+function buildSearchFilter(q, fields) {
+    if (!q || !String(q).trim()) return null;
+    const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+    return { $or: fields.map(field => ({ [field]: pattern })) };
+}
+
+// Booking filters shared by the admin listing and the export:
+// ?from=&to= on check-in (or booking date with dateField=bookingDate),
+// ?checkInFrom=&checkInTo=&checkOutFrom=&checkOutTo= date windows,
+// comma-separated status, roomType and paymentStatus lists, and ?q= search
+function buildBookingFilter(query) {
+    const filter = {};
+    const list = value => String(value).split(',').map(v => v.trim()).filter(Boolean);
+    const windows = [
+        ['checkIn', query.checkInFrom || (query.dateField !== 'bookingDate' && query.from), query.checkInTo || (query.dateField !== 'bookingDate' && query.to)],
+        ['checkOut', query.checkOutFrom, query.checkOutTo]
+    ];
+    for (const [field, rawFrom, rawTo] of windows) {
+        if (!rawFrom && !rawTo) continue;
+        const from = rawFrom && toDateKey(rawFrom);
+        const to = rawTo && toDateKey(rawTo);
+        if ((rawFrom && !from) || (rawTo && !to)) {
+            return { success: false, message: `${field} dates must be valid dates` };
+        }
+        filter[field] = {};
+        if (from) filter[field].$gte = from;
+        if (to) filter[field].$lte = to;
+    }
+    if (query.dateField === 'bookingDate' && (query.from || query.to)) {
+        const from = query.from && toDateKey(query.from);
+        const to = query.to && toDateKey(query.to);
+        if ((query.from && !from) || (query.to && !to)) {
+            return { success: false, message: 'from and to must be valid dates' };
+        }
+        filter.bookingDate = {};
+        if (from) filter.bookingDate.$gte = new Date(`${from}T00:00:00${HOTEL_UTC_OFFSET}`);
+        if (to) filter.bookingDate.$lt = new Date(Date.parse(`${to}T00:00:00${HOTEL_UTC_OFFSET}`) + DAY_MS);
+    }
+    if (query.status) {
+        const statuses = list(query.status);
+        const unknown = statuses.filter(status => !BOOKING_STATUSES.includes(status));
+        if (unknown.length > 0) {
+            return { success: false, message: `Unknown status ${unknown.join(', ')}` };
+        }
+        filter.status = { $in: statuses };
+    }
+    if (query.roomType) filter.roomType = { $in: list(query.roomType).map(code => code.toLowerCase()) };
+    if (query.paymentStatus) filter.paymentStatus = { $in: list(query.paymentStatus) };
+    if (query.reservationId) filter.reservationId = query.reservationId;
+    const search = buildSearchFilter(query.q, ['bookingId', 'guestName', 'guestEmail', 'guestPhone']);
+    if (search) Object.assign(filter, search);
+    return { success: true, filter };
+}
+
+// Keyset pagination over `sort=field` or `sort=-field` (descending), tie-broken on _id.
+// The cursor is the sort value and _id of the last item returned, so pages stay
+// stable while bookings are added. Returns one page plus the total matching `filter`.
+async function paginate(Model, filter, query, { sortFields, defaultSort }) {
+    const sort = query.sort || defaultSort;
+    const field = sort.replace(/^-/, '');
+    if (!sortFields.includes(field)) {
+        return { success: false, message: `sort must be one of ${sortFields.join(', ')}, optionally prefixed with -` };
+    }
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const conditions = [filter];
+    if (query.cursor) {
+        let after;
+        try {
+            after = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString());
+        } catch (error) {
+            after = null;
+        }
+        if (!after || after.sort !== sort || !mongoose.isValidObjectId(after.id)) {
+            return { success: false, message: 'Invalid cursor' };
+        }
+        const value = Model.schema.path(field).instance === 'Date' ? new Date(after.value) : after.value;
+        const op = direction === 1 ? '$gt' : '$lt';
+        conditions.push({
+            $or: [
+                { [field]: { [op]: value } },
+                { [field]: value, _id: { [op]: new mongoose.Types.ObjectId(after.id) } }
+            ]
+        });
+    }
+    const items = await Model.find({ $and: conditions })
+        .sort({ [field]: direction, _id: direction })
+        .limit(limit + 1);
+    const hasMore = items.length > limit;
+    const page = items.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+        ? Buffer.from(JSON.stringify({ sort, value: last[field], id: String(last._id) })).toString('base64url')
+        : null;
+    const total = await Model.countDocuments(filter);
+    return { success: true, items: page, nextCursor, total };
+}
+
+// =====================================================
+// EXPORT & IMPORT
+// =====================================================
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const IMPORT_MAX_ROWS = 1000;
+// Imported bookings are real stays, already agreed with the guest or the OTA
+const IMPORT_STATUSES = ['confirmed', 'checked_in'];
+const IMPORT_PAYMENT_STATUSES = ['pending', 'completed'];
+const IMPORT_ROW_FIELDS = {
+    bookingId: BOOKING_ID_RULE,
+    ...GUEST_FIELDS,
+    ...STAY_FIELDS,
+    status: { type: 'string', values: IMPORT_STATUSES, default: 'confirmed' },
+    paymentStatus: { type: 'string', values: IMPORT_PAYMENT_STATUSES, default: 'pending' },
+    source: { type: 'string', max: 50 },
+    specialRequests: { type: 'string', max: 1000 }
+};
+
+const BOOKING_EXPORT_COLUMNS = [
+    { header: 'Booking ID', key: 'bookingId', width: 18 },
+    { header: 'Booked On', key: 'bookingDate', width: 20 },
+    { header: 'Source', key: 'source' },
+    { header: 'Status', key: 'status' },
+    { header: 'Guest Name', key: 'guestName', width: 24 },
+    { header: 'Guest Email', key: 'guestEmail', width: 28 },
+    { header: 'Guest Phone', key: 'guestPhone', width: 16 },
+    { header: 'Room Type', key: 'roomType' },
+    { header: 'Room Number', key: 'roomNumber' },
+    { header: 'Check In', key: 'checkIn' },
+    { header: 'Check Out', key: 'checkOut' },
+    { header: 'Nights', key: 'nights' },
+    { header: 'Guests', key: 'guests' },
+    { header: 'Subtotal', key: 'subtotal' },
+    { header: 'Discount', key: 'discountAmount' },
+    { header: 'Promo Code', key: 'promoCode' },
+    { header: 'GST', key: 'taxAmount' },
+    { header: 'Total', key: 'totalAmount' },
+    { header: 'Payment Status', key: 'paymentStatus' },
+    { header: 'Razorpay Payment ID', key: 'razorpayPaymentId', width: 22 },
+    { header: 'Refunded', key: 'refunded', value: booking => getRefundedAmount(booking) },
+    { header: 'Invoice Number', key: 'invoiceNumber', width: 24, value: booking => booking.invoice && booking.invoice.number }
+];
+
+const GUEST_EXPORT_COLUMNS = [
+    { header: 'Name', key: 'name', width: 24 },
+    { header: 'Email', key: 'email', width: 28 },
+    { header: 'Phone', key: 'phone', width: 16 },
+    { header: 'Bookings', key: 'bookings' },
+    { header: 'Last Booking', key: 'lastBooking', width: 20 }
+];
+
+// Quotes a CSV cell, and defuses values a spreadsheet would run as a formula. Phone
+// numbers in +<country code> form are left alone: they can only ever be a number,
+// and the importer has to be able to read them back.
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !PHONE_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Streams documents from a cursor as CSV or XLSX, one row at a time
+async function sendExport(res, { format, filename, sheetName, columns, cursor }) {
+    const rowValues = doc => columns.map(column => (column.value ? column.value(doc) : doc[column.key]));
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    if (format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 14 }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+        for await (const doc of cursor) {
+            sheet.addRow(rowValues(doc)).commit();
+        }
+        sheet.commit();
+        await workbook.commit();
+        return;
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // The BOM makes Excel open the file as UTF-8
+    res.write('\ufeff' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+    for await (const doc of cursor) {
+        if (!res.write(rowValues(doc).map(toCsvCell).join(',') + '\r\n')) {
+            await new Promise(resolve => res.once('drain', resolve));
+        }
+    }
+    res.end();
+}
+
+// RFC 4180 parser: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\ufeff/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function generateBookingId() {
+    return `MG${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+// Checks one import row and prices it. `taken` holds the rooms claimed per
+// roomType|date by earlier rows of the same file, which a dry run never writes.
+async function validateImportRow(record, { seenIds, taken }) {
+    const checked = validateValue(record, { type: 'object', fields: IMPORT_ROW_FIELDS }, '');
+    const errors = checked.errors.map(error => error.message);
+    const row = checked.value;
+    if (errors.length === 0) errors.push(...checkStayDates(row).map(error => error.message));
+    const { status, paymentStatus } = row;
+    const bookingId = row.bookingId || generateBookingId();
+    if (seenIds.has(bookingId)) {
+        errors.push(`bookingId ${bookingId} appears more than once in the file`);
+    } else if (await Booking.exists({ bookingId }).setOptions({ withDeleted: true })) {
+        errors.push(`bookingId ${bookingId} already exists`);
+    }
+    seenIds.add(bookingId);
+    if (errors.length > 0) return { errors, bookingId };
+
+    const pricing = await calculateQuote(row);
+    if (!pricing.success) return { errors: [pricing.message], bookingId };
+    const availability = await getNightlyAvailability(pricing.quote.roomType, row.checkIn, row.checkOut);
+    if (!availability.success) return { errors: [availability.message], bookingId };
+    const soldOut = availability.nights
+        .filter(night => night.available - (taken.get(`${pricing.quote.roomType}|${night.date}`) || 0) <= 0)
+        .map(night => night.date);
+    if (soldOut.length > 0) errors.push(`No ${pricing.quote.roomType} room free on ${soldOut.join(', ')}`);
+    const today = getHotelToday();
+    if (status === 'checked_in' && (today < pricing.quote.checkIn || today >= pricing.quote.checkOut)) {
+        errors.push('Only stays that include today can be imported as checked_in');
+    }
+    return { errors, bookingId, row, status, paymentStatus, quote: pricing.quote };
+}
+
+// The export's column headings are accepted too, so an export can be imported again
+const IMPORT_HEADER_KEYS = Object.fromEntries(BOOKING_EXPORT_COLUMNS
+    .filter(column => IMPORT_ROW_FIELDS[column.key])
+    .map(column => [column.header, column.key]));
+
+// Splits an import file into { row, record } pairs keyed by field name, skipping blank lines
+function readImportRecords(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header || header.every(cell => !cell.trim())) {
+        return { success: false, message: 'CSV has no header row' };
+    }
+    if (lines.length > IMPORT_MAX_ROWS) {
+        return { success: false, message: `Import at most ${IMPORT_MAX_ROWS} rows at a time` };
+    }
+    const keys = header.map(cell => IMPORT_HEADER_KEYS[cell.trim()] || cell.trim());
+    const records = [];
+    for (const [index, line] of lines.entries()) {
+        if (line.every(cell => !cell.trim())) continue;
+        const record = {};
+        keys.forEach((key, i) => { record[key] = (line[i] || '').trim(); });
+        records.push({ row: index + 2, record });
+    }
+    return { success: true, records };
+}
+
+// Validates every row and, unless it is a dry run, creates the valid ones.
+// Rows are independent: one bad row never stops the others.
+async function importBookings(text, { dryRun, req }) {
+    const read = readImportRecords(text);
+    if (!read.success) return read;
+    const seenIds = new Set();
+    const taken = new Map();
+    const rows = [];
+    for (const { row: rowNumber, record } of read.records) {
+        const result = await validateImportRow(record, { seenIds, taken });
+        if (result.errors.length > 0) {
+            rows.push({ row: rowNumber, bookingId: result.bookingId, status: 'error', errors: result.errors });
+            continue;
+        }
+        if (dryRun) {
+            for (const date of getNightsBetween(result.quote.checkIn, result.quote.checkOut)) {
+                const key = `${result.quote.roomType}|${date}`;
+                taken.set(key, (taken.get(key) || 0) + 1);
+            }
+            rows.push({ row: rowNumber, bookingId: result.bookingId, status: 'valid', totalAmount: result.quote.total });
+            continue;
+        }
+        let booking = new Booking({
+            bookingId: result.bookingId,
+            guestName: result.row.guestName,
+            guestEmail: result.row.guestEmail,
+            guestPhone: result.row.guestPhone,
+            roomType: result.quote.roomType,
+            checkIn: result.quote.checkIn,
+            checkOut: result.quote.checkOut,
+            specialRequests: result.row.specialRequests,
+            source: result.row.source || 'import',
+            ...quoteToBookingFields(result.quote),
+            paymentStatus: result.paymentStatus,
+            status: 'pending'
+        });
+        await booking.save();
+        const confirmed = await transitionBooking(booking, 'confirmed', { by: req.admin.email, reason: 'Imported' });
+        if (!confirmed.success) {
+            await booking.deleteOne();
+            rows.push({ row: rowNumber, bookingId: result.bookingId, status: 'error', errors: [confirmed.message] });
+            continue;
+        }
+        booking = confirmed.booking;
+        const warnings = [];
+        if (result.status === 'checked_in') {
+            const checkedIn = await transitionBooking(booking, 'checked_in', { by: req.admin.email, reason: 'Imported' });
+            if (checkedIn.success) booking = checkedIn.booking;
+            else warnings.push(`Imported as confirmed: ${checkedIn.message}`);
+        }
+        await recordGuestBooking(booking);
+        await recordAudit({ req, action: 'booking.import', targetType: 'booking', targetId: booking.bookingId, after: booking });
+        rows.push({ row: rowNumber, bookingId: booking.bookingId, status: 'imported', totalAmount: booking.totalAmount, ...(warnings.length ? { warnings } : {}) });
+    }
+    const failed = rows.filter(row => row.status === 'error').length;
+    return { success: true, dryRun, total: rows.length, succeeded: rows.length - failed, failed, rows };
+}
+
+// =====================================================
+// CHANNEL SYNC (iCAL)
+// =====================================================
+const ICAL_UID_DOMAIN = 'maduragrandeur.com';
+const CHANNEL_EXPORT_DAYS = 365;
+const CHANNEL_FETCH_TIMEOUT_MS = 15000;
+
+// The feed URL is given to the channel, which can't send headers, so it carries a token
+function getChannelFeedToken(roomType) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`channel-feed:${roomType}`).digest('base64url').slice(0, 32);
+}
+
+function isValidChannelFeedToken(roomType, token) {
+    const expected = Buffer.from(getChannelFeedToken(roomType));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function toIcalDate(dateKey) {
+    return dateKey.replace(/-/g, '');
+}
+
+function escapeIcalText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldIcalLine(line) {
+    const parts = [];
+    let rest = line;
+    // Continuation lines lose one octet to their leading space
+    for (let limit = 75; Buffer.byteLength(rest) > limit; limit = 74) {
+        let cut = limit;
+        while (Buffer.byteLength(rest.slice(0, cut)) > limit) cut--;
+        parts.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+}
+
+// One all-day event per run of consecutive sold-out nights. A room type with several
+// rooms is only closed on a channel once every room is taken, which is what the
+// RoomNight ledger of confirmed bookings and live holds tells us.
+async function buildChannelFeed(roomType) {
+    const from = getHotelToday();
+    const to = toDateKey(new Date(Date.parse(from) + CHANNEL_EXPORT_DAYS * DAY_MS));
+    const availability = await getNightlyAvailability(roomType, from, to);
+    if (!availability.success) return availability;
+    const ranges = [];
+    for (const night of availability.nights) {
+        if (night.available > 0) continue;
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === night.date) {
+            last.end = toDateKey(new Date(Date.parse(night.date) + DAY_MS));
+        } else {
+            ranges.push({ start: night.date, end: toDateKey(new Date(Date.parse(night.date) + DAY_MS)) });
+        }
+    }
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${HOTEL_NAME}//Channel Feed//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcalText(`${HOTEL_NAME} ${roomType}`)}`
+    ];
+    for (const range of ranges) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${roomType}-${range.start}@${ICAL_UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcalDate(range.start)}`,
+            `DTEND;VALUE=DATE:${toIcalDate(range.end)}`,
+            'SUMMARY:Not available',
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return { success: true, ics: lines.map(foldIcalLine).join('\r\n') + '\r\n' };
+}
+
+function unescapeIcalText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Date part of a DTSTART/DTEND value: '20261020' or '20261020T140000Z' -> '2026-10-20'
+function fromIcalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? toDateKey(`${match[1]}-${match[2]}-${match[3]}`) : null;
+}
+
+// Reads the VEVENTs of an iCal document as { uid, start, end, summary, description, status }
+function parseIcal(text) {
+    if (!/BEGIN:VCALENDAR/.test(text)) {
+        throw new Error('Response is not an iCal calendar');
+    }
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+        } else if (line === 'END:VEVENT') {
+            if (event) events.push(event);
+            event = null;
+        } else if (event) {
+            const colon = line.indexOf(':');
+            if (colon === -1) continue;
+            const name = line.slice(0, colon).split(';')[0].toUpperCase();
+            const value = line.slice(colon + 1);
+            if (name === 'UID') event.uid = value.trim();
+            else if (name === 'DTSTART') event.start = fromIcalDate(value);
+            else if (name === 'DTEND') event.end = fromIcalDate(value);
+            else if (name === 'SUMMARY') event.summary = unescapeIcalText(value);
+            else if (name === 'DESCRIPTION') event.description = unescapeIcalText(value);
+            else if (name === 'STATUS') event.status = value.trim().toUpperCase();
+        }
+    }
+    // All-day events may leave out DTEND, meaning a single night
+    for (const item of events) {
+        if (item.start && !item.end) item.end = toDateKey(new Date(Date.parse(item.start) + DAY_MS));
+    }
+    return events;
+}
+
+async function createChannelBooking(channel, event) {
+    const booking = new Booking({
+        bookingId: generateBookingId(),
+        guestName: (event.summary || `${channel.name} guest`).slice(0, 100),
+        guestEmail: `${channel.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}@channel.invalid`,
+        guestPhone: '-',
+        roomType: channel.roomType,
+        checkIn: event.start,
+        checkOut: event.end,
+        nights: getNightsBetween(event.start, event.end).length,
+        guests: 1,
+        roomPrice: 0,
+        subtotal: 0,
+        taxAmount: 0,
+        totalAmount: 0,
+        specialRequests: event.description ? event.description.slice(0, 1000) : undefined,
+        source: channel.name,
+        channelId: channel._id,
+        externalUid: event.uid,
+        paymentStatus: 'external',
+        status: 'pending'
+    });
+    await booking.save();
+    const result = await transitionBooking(booking, 'confirmed', { by: `channel:${channel.name}`, reason: 'Imported from channel feed' });
+    if (!result.success) {
+        await booking.deleteOne();
+        return result;
+    }
+    await recordAudit({
+        actor: { actorType: 'system', actor: `channel:${channel.name}` },
+        action: 'booking.channel_import',
+        targetType: 'booking',
+        targetId: booking.bookingId,
+        after: result.booking
+    });
+    return result;
+}
+
+// Moves a channel booking to the event's new dates, keeping the old ones if the
+// new nights are not free. If the old nights were taken meanwhile too, the booking
+// holds no rooms at all and is parked in needs_refund for staff to resolve.
+async function moveChannelBooking(channel, booking, event) {
+    const before = toAuditSnapshot(booking);
+    const previous = { checkIn: booking.checkIn, checkOut: booking.checkOut, nights: booking.nights };
+    // The old nights only go to the waitlist once the booking has its new ones
+    await releaseInventory(booking, { notifyWaitlist: false });
+    Object.assign(booking, { checkIn: event.start, checkOut: event.end, nights: getNightsBetween(event.start, event.end).length });
+    booking.roomId = undefined;
+    booking.roomNumber = undefined;
+    await booking.save();
+    const hold = await reserveInventory(booking);
+    if (!hold.success) {
+        Object.assign(booking, previous);
+        await booking.save();
+        const restored = await reserveInventory(booking);
+        if (!restored.success) {
+            const message = 'Channel moved the stay, and neither the new nor the old dates are free';
+            const now = new Date();
+            await Booking.updateOne(
+                { _id: booking._id, status: 'confirmed' },
+                {
+                    $set: { status: 'needs_refund', needsRefundAt: now },
+                    $push: { statusHistory: { from: 'confirmed', to: 'needs_refund', at: now, by: `channel:${channel.name}`, reason: message } }
+                }
+            );
+            countMetric('booking_status_changes_total', { status: 'needs_refund' });
+            logger.error('Channel booking lost its rooms', { channel: channel.name, bookingId: booking.bookingId });
+            return { success: false, message, parked: true };
+        }
+        return hold;
+    }
+    await offerWaitlistedRooms(booking.roomType, { from: previous.checkIn, to: previous.checkOut });
+    await recordAudit({
+        actor: { actorType: 'system', actor: `channel:${channel.name}` },
+        action: 'booking.channel_update',
+        targetType: 'booking',
+        targetId: booking.bookingId,
+        before,
+        after: booking
+    });
+    return { success: true };
+}
+
+// Pulls a channel's feed and makes our bookings match it: new events become
+// confirmed bookings, moved events move theirs, and upcoming bookings whose event
+// is gone or cancelled are cancelled. Nothing is cancelled if the feed can't be read.
+async function syncChannel(channel) {
+    const summary = { events: 0, created: 0, updated: 0, cancelled: 0, conflicts: [] };
+    try {
+        const response = await fetch(channel.importUrl, { signal: AbortSignal.timeout(CHANNEL_FETCH_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`Feed returned HTTP ${response.status}`);
+        }
+        const events = parseIcal(await response.text());
+        const today = getHotelToday();
+        const seen = [];
+        for (const event of events) {
+            // Skip past stays, broken events and our own feed echoed back to us
+            if (!event.uid || !event.start || !event.end || event.end <= event.start || event.end <= today) continue;
+            if (event.uid.endsWith(`@${ICAL_UID_DOMAIN}`) || event.status === 'CANCELLED') continue;
+            summary.events += 1;
+            seen.push(event.uid);
+            const booking = await Booking.findOne({ channelId: channel._id, externalUid: event.uid }).setOptions({ withDeleted: true });
+            if (!booking) {
+                const result = await createChannelBooking(channel, event);
+                if (result.success) summary.created += 1;
+                else summary.conflicts.push({ uid: event.uid, checkIn: event.start, checkOut: event.end, message: result.message });
+            } else if (!booking.deletedAt && booking.status === 'confirmed' &&
+                (booking.checkIn !== event.start || booking.checkOut !== event.end)) {
+                const result = await moveChannelBooking(channel, booking, event);
+                if (result.success) summary.updated += 1;
+                else summary.conflicts.push({ uid: event.uid, bookingId: booking.bookingId, checkIn: event.start, checkOut: event.end, message: result.message });
+            }
+        }
+        const removed = await Booking.find({
+            channelId: channel._id,
+            status: 'confirmed',
+            checkIn: { $gte: today },
+            externalUid: { $nin: seen }
+        });
+        for (const booking of removed) {
+            const result = await transitionBooking(booking, 'cancelled', { by: `channel:${channel.name}`, reason: 'Removed from channel feed' });
+            if (!result.success) continue;
+            summary.cancelled += 1;
+            await recordAudit({
+                actor: { actorType: 'system', actor: `channel:${channel.name}` },
+                action: 'booking.channel_cancel',
+                targetType: 'booking',
+                targetId: booking.bookingId,
+                before: booking,
+                after: result.booking
+            });
+        }
+        for (const conflict of summary.conflicts) {
+            logger.warn('Channel reservation could not be placed', { channel: channel.name, ...conflict });
+        }
+        Object.assign(channel, { lastSyncedAt: new Date(), lastSyncStatus: 'ok', lastSyncError: undefined, lastSyncSummary: summary });
+    } catch (error) {
+        logger.error('Channel sync failed', { channel: channel.name, error });
+        Object.assign(channel, { lastSyncedAt: new Date(), lastSyncStatus: 'error', lastSyncError: error.message });
+    }
+    await channel.save();
+    return { channel: channel.name, roomType: channel.roomType, status: channel.lastSyncStatus, error: channel.lastSyncError, ...summary };
+}
+
+// =====================================================
+// GROUP RESERVATIONS
+// =====================================================
+// Prices every line and creates a held pending booking per room, reserving all of
+// them or none: if any room can't be had, or a save fails, the rooms already taken
+// are given back. The server issues the reservation ID, as it does for bookings.
+async function holdReservation(details) {
+    const reservationId = generateBookingId();
+    const holdExpiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    const lines = [];
+    const bookings = [];
+    for (const line of details.lines) {
+        const pricing = await calculateQuote({ roomType: line.roomType, checkIn: details.checkIn, checkOut: details.checkOut, guests: line.guestsPerRoom });
+        if (!pricing.success) return pricing;
+        const fields = quoteToBookingFields(pricing.quote);
+        const bookingIds = [];
+        for (let i = 0; i < line.quantity; i++) {
+            const booking = new Booking({
+                bookingId: `${reservationId}-${bookings.length + 1}`,
+                reservationId,
+                guestName: details.guestName,
+                guestEmail: details.guestEmail,
+                guestPhone: details.guestPhone,
+                roomType: line.roomType.toLowerCase(),
+                checkIn: details.checkIn,
+                checkOut: details.checkOut,
+                specialRequests: details.specialRequests,
+                ...fields,
+                status: 'pending',
+                paymentStatus: 'pending',
+                inventoryReserved: false,
+                holdExpiresAt
+            });
+            bookings.push(booking);
+            bookingIds.push(booking.bookingId);
+        }
+        lines.push({
+            roomType: line.roomType.toLowerCase(),
+            quantity: line.quantity,
+            guestsPerRoom: fields.guests,
+            bookingIds,
+            subtotal: roundMoney(fields.subtotal * line.quantity),
+            taxAmount: roundMoney(fields.taxAmount * line.quantity),
+            totalAmount: roundMoney(fields.totalAmount * line.quantity)
+        });
+    }
+    const reservation = new Reservation({
+        reservationId,
+        guestName: details.guestName,
+        guestEmail: details.guestEmail,
+        guestPhone: details.guestPhone,
+        checkIn: details.checkIn,
+        checkOut: details.checkOut,
+        nights: getNightsBetween(details.checkIn, details.checkOut).length,
+        lines,
+        subtotal: roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0)),
+        taxAmount: roundMoney(lines.reduce((sum, line) => sum + line.taxAmount, 0)),
+        totalAmount: roundMoney(lines.reduce((sum, line) => sum + line.totalAmount, 0))
+    });
+    await reservation.save();
+
+    const held = [];
+    for (const booking of bookings) {
+        let hold;
+        try {
+            await booking.save();
+            hold = await reserveInventory(booking);
+        } catch (error) {
+            await discardReservation(reservation, [...held, booking]);
+            throw error;
+        }
+        if (!hold.success) {
+            await discardReservation(reservation, [...held, booking]);
+            return { ...hold, roomType: booking.roomType };
+        }
+        held.push(booking);
+    }
+    return { success: true, reservation, bookings };
+}
+
+// Undoes holdReservation when a room or the payment order couldn't be had
+async function discardReservation(reservation, bookings) {
+    for (const booking of bookings) {
+        await releaseInventory(booking, { notifyWaitlist: false });
+    }
+    await Booking.deleteMany({ reservationId: reservation.reservationId });
+    await reservation.deleteOne();
+}
+
+// Confirms every room of a paid reservation through confirmBooking, so a room whose
+// hold lapsed before payment is parked in needs_refund just like a single booking.
+// The guest is recorded and emailed once for the whole reservation, however many
+// rooms it has and however many times the payment is reported.
+async function confirmReservation(reservation, payment) {
+    if (payment.razorpayPaymentId && !reservation.razorpayPaymentId) {
+        reservation.razorpayPaymentId = payment.razorpayPaymentId;
+        await reservation.save();
+    }
+    const bookings = await Booking.find({ reservationId: reservation.reservationId }).sort({ bookingId: 1 });
+    const results = [];
+    for (const booking of bookings) {
+        results.push(await confirmBooking(booking, payment, { forReservation: true }));
+    }
+    const confirmed = results.filter(result => result.success).map(result => result.booking);
+    const claimed = confirmed.length > 0 && await Reservation.findOneAndUpdate(
+        { _id: reservation._id, confirmedAt: null },
+        { $set: { confirmedAt: new Date() } },
+        { new: true }
+    );
+    if (claimed) {
+        reservation.confirmedAt = claimed.confirmedAt;
+        await recordGuestBooking(confirmed[0]);
+        // Notifications live on bookings, so the reservation's email rides on its first room
+        await enqueueNotification(confirmed[0], 'reservation_confirmed', {
+            data: {
+                reservationId: reservation.reservationId,
+                rooms: confirmed.map(booking => ({ bookingId: booking.bookingId, roomType: booking.roomType, guests: booking.guests })),
+                unconfirmedRooms: results.length - confirmed.length,
+                totalAmount: reservation.totalAmount
+            }
+        });
+    }
+    const success = results.every(result => result.success);
+    if (!success) {
+        logger.error('Paid reservation partly confirmed', { reservationId: reservation.reservationId, confirmed: results.filter(r => r.success).length, rooms: results.length });
+    }
+    return {
+        success,
+        message: success ? undefined : 'Some rooms could not be confirmed; a refund will be issued for them',
+        reservation,
+        bookings: results.map(result => result.booking)
+    };
+}
+
+// Cancels every room of one line under its cancellation policy, refunding each
+// room's share of the group payment and giving its nights back
+async function cancelReservationLine(reservation, lineIndex, { by, reason }) {
+    const line = reservation.lines[lineIndex];
+    const bookings = await Booking.find({ bookingId: { $in: line.bookingIds }, status: { $in: ['pending', 'confirmed'] } });
+    if (bookings.length === 0) {
+        return { success: false, message: 'This room line has nothing left to cancel' };
+    }
+    const cancelled = [];
+    let refundTotal = 0;
+    for (const booking of bookings) {
+        const cancellation = await calculateCancellationRefund(booking);
+        const result = await transitionBooking(booking, 'cancelled', { by, reason });
+        if (!result.success) continue;
+        let refund = null;
+        if (cancellation.amount > 0) {
+            refund = await issueRefund(result.booking, cancellation.amount, {
+                reason: `Cancellation ${cancellation.hoursBeforeCheckIn}h before check-in (${cancellation.refundPercent}% policy)`,
+                initiatedBy: by
+            });
+            if (refund.success) refundTotal += refund.refund.amount;
+        }
+        await enqueueNotification(result.booking, 'booking_cancelled', {
+            data: describeCancellationRefund(cancellation, refund)
+        });
+        cancelled.push({ booking: result.booking, cancellation, refund });
+    }
+    return { success: true, line, cancelled, refundTotal: roundMoney(refundTotal) };
+}
+
+// The reservation with its rooms; a line's status is its rooms' statuses
+function toReservationResponse(reservation, bookings) {
+    const byId = new Map(bookings.map(booking => [booking.bookingId, booking]));
+    const { lines, ...fields } = reservation.toObject();
+    return {
+        ...fields,
+        lines: lines.map((line, index) => {
+            const rooms = line.bookingIds.map(id => byId.get(id)).filter(Boolean);
+            return {
+                ...line,
+                index,
+                statuses: [...new Set(rooms.map(room => room.status))],
+                rooms: rooms.map(room => ({ bookingId: room.bookingId, status: room.status, roomNumber: room.roomNumber, paymentStatus: room.paymentStatus }))
+            };
+        })
+    };
+}
+
+// =====================================================
+// WAITLIST
+// =====================================================
+function hashClaimToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Holds a room for one waitlist entry as a pending booking, priced at today's rates,
+// and emails the guest a claim link that expires with the hold
+async function offerWaitlistEntry(entry) {
+    const availability = await checkRoomAvailability(entry.roomType, entry.checkIn, entry.checkOut);
+    if (!availability.success) return availability;
+    const pricing = await calculateQuote(entry);
+    if (!pricing.success) return pricing;
+    const expiresAt = new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+    const booking = new Booking({
+        bookingId: generateBookingId(),
+        guestName: entry.guestName,
+        guestEmail: entry.guestEmail,
+        guestPhone: entry.guestPhone,
+        roomType: entry.roomType,
+        checkIn: entry.checkIn,
+        checkOut: entry.checkOut,
+        ...quoteToBookingFields(pricing.quote),
+        source: 'waitlist',
+        status: 'pending',
+        paymentStatus: 'pending',
+        inventoryReserved: false,
+        holdExpiresAt: expiresAt
+    });
+    await booking.save();
+    const hold = await reserveInventory(booking);
+    if (!hold.success) {
+        await booking.deleteOne();
+        return hold;
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'offered', bookingId: booking.bookingId, claimTokenHash: hashClaimToken(token), offeredAt: new Date(), offerExpiresAt: expiresAt } },
+        { new: true }
+    );
+    if (!offered) {
+        // Offered or withdrawn by a parallel request meanwhile
+        await releaseInventory(booking, { notifyWaitlist: false });
+        await booking.deleteOne();
+        return { success: false, message: 'Waitlist entry is no longer waiting' };
+    }
+    await enqueueNotification(booking, 'waitlist_offer', {
+        data: { claimUrl: `${FRONTEND_URL}/waitlist/claim?token=${token}`, expiresAt }
+    });
+    await recordAudit({ action: 'waitlist.offer', targetType: 'waitlist', targetId: entry._id, before: entry, after: offered, metadata: { bookingId: booking.bookingId } });
+    logger.info('Waitlist offer sent', { waitlistEntryId: String(entry._id), bookingId: booking.bookingId, roomType: entry.roomType, checkIn: entry.checkIn, checkOut: entry.checkOut });
+    return { success: true, entry: offered, booking };
+}
+
+// Offers freed rooms of a type to its waitlist, oldest entry first. Entries whose
+// dates still include a sold-out night are passed over and keep their place.
+// `from`/`to` narrow it to entries overlapping the nights just freed.
+// Never throws: a failed offer is logged rather than failing the cancellation that triggered it.
+async function offerWaitlistedRooms(roomType, { from, to } = {}) {
+    const offered = [];
+    try {
+        const filter = { roomType, status: 'waiting', checkIn: { $gte: getHotelToday() } };
+        if (to) filter.checkIn.$lt = to;
+        if (from) filter.checkOut = { $gt: from };
+        const entries = await WaitlistEntry.find(filter).sort({ createdAt: 1 });
+        for (const entry of entries) {
+            const result = await offerWaitlistEntry(entry);
+            if (result.success) offered.push(result.booking.bookingId);
+        }
+    } catch (error) {
+        logger.error('Waitlist offer failed', { roomType, error });
+    }
+    return offered;
+}
+
+// Takes an entry off the waitlist, giving back the room held for its offer
+async function withdrawWaitlistEntry(entry, { by, reason }) {
+    const withdrawn = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: { $in: WAITLIST_ACTIVE_STATUSES } },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } },
+        { new: true }
+    );
+    if (!withdrawn) {
+        return { success: false, message: `Waitlist entry is already ${entry.status}` };
+    }
+    if (entry.bookingId) {
+        const booking = await Booking.findOne({ bookingId: entry.bookingId, status: 'pending' });
+        if (booking) await transitionBooking(booking, 'cancelled', { by, reason });
+    }
+    return { success: true, entry: withdrawn };
+}
+
+// =====================================================
+// AUDIT LOG
+// =====================================================
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'razorpaySignature'];
+
+function toAuditSnapshot(doc) {
+    if (!doc) return {};
+    return JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+}
+
+// Field-level diff of two snapshots: { field: { from, to } } for every field that changed
+function diffSnapshots(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (AUDIT_IGNORED_FIELDS.includes(field)) continue;
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+function getAuditActor(req) {
+    if (req && req.admin) {
+        return { actorType: 'admin', actor: String(req.admin._id), actorEmail: req.admin.email };
+    }
+    if (req && req.guestEmail) {
+        return { actorType: 'guest', actor: req.guestEmail, actorEmail: req.guestEmail };
+    }
+    return { actorType: req ? 'public' : 'system' };
+}
+
+function getClientIp(req) {
+    if (!req) return undefined;
+    const forwarded = req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.ip;
+}
+
+// Never throws: a failed audit write is logged rather than failing the request
+async function recordAudit({ req, actor, action, targetType, targetId, before, after, metadata }) {
+    try {
+        await AuditLog.create({
+            ...(actor || getAuditActor(req)),
+            action,
+            targetType,
+            targetId: targetId && String(targetId),
+            changes: diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after)),
+            metadata,
+            ip: getClientIp(req)
+        });
+    } catch (error) {
+        logger.error('Audit log write failed', { action, error });
+    }
+}
+
+// =====================================================
+// MESSAGE TRANSPORTS
+// =====================================================
+// Each transport takes { to, subject, text } and delivers it. `console` and `file`
+// are for local development and tests; the file transport writes to OUTBOX_DIR.
+// The console transport logs only the envelope: bodies carry login codes and
+// passwords, so read them from the file transport's outbox instead.
+const messageTransports = {
+    console: {
+        async send(message) {
+            logger.info('Message sent', { transport: 'console', to: message.to, subject: message.subject });
+            return { delivered: true };
+        }
+    },
+    file: {
+        async send(message) {
+            await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+            const file = path.join(OUTBOX_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+            return { delivered: true, file };
+        }
+    },
+    smtp: {
+        async send(message) {
+            if (!this.transporter) {
+                this.transporter = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+                });
+            }
+            const info = await this.transporter.sendMail({ from: MAIL_FROM, ...message });
+            return { delivered: true, messageId: info.messageId };
+        }
+    }
+};
+
+function getMessageTransport(name) {
+    const transport = messageTransports[name];
+    if (!transport) {
+        throw new Error(`Unknown message transport: ${name}`);
+    }
+    return transport;
+}
+
+// =====================================================
+// GUEST NOTIFICATIONS
+// =====================================================
+function formatRupees(amount) {
+    return `₹${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function describeStay(booking) {
+    return `${booking.roomType} room, ${toDateKey(booking.checkIn)} to ${toDateKey(booking.checkOut)} (${booking.nights} night${booking.nights === 1 ? '' : 's'})`;
+}
+
+// Each template returns the subject and plain-text body; html is derived from the text
+const NOTIFICATION_TEMPLATES = {
+    booking_confirmed: (booking) => ({
+        subject: `Booking confirmed – ${booking.bookingId}`,
+        text: `Dear ${booking.guestName},\n\nThank you for booking with ${HOTEL_NAME}. Your booking ${booking.bookingId} is confirmed.\n\n` +
+            `Stay: ${describeStay(booking)}\nGuests: ${booking.guests}\nAmount paid: ${formatRupees(booking.totalAmount)}\n` +
+            `Payment reference: ${booking.razorpayPaymentId || '-'}\n\nCheck-in is from ${CHECK_IN_TIME}. We look forward to welcoming you.`
+    }),
+    reservation_confirmed: (booking, data = {}) => ({
+        subject: `Reservation confirmed – ${data.reservationId}`,
+        text: `Dear ${booking.guestName},\n\nThank you for booking with ${HOTEL_NAME}. Your reservation ${data.reservationId} is confirmed.\n\n` +
+            `Stay: ${toDateKey(booking.checkIn)} to ${toDateKey(booking.checkOut)} (${booking.nights} night${booking.nights === 1 ? '' : 's'})\n` +
+            `Rooms:\n${(data.rooms || []).map(room => `- ${room.roomType} room for ${room.guests} guest${room.guests === 1 ? '' : 's'} (booking ${room.bookingId})`).join('\n')}\n` +
+            `Amount paid: ${formatRupees(data.totalAmount)}\nPayment reference: ${booking.razorpayPaymentId || '-'}\n\n` +
+            (data.unconfirmedRooms > 0
+                ? `${data.unconfirmedRooms} room${data.unconfirmedRooms === 1 ? '' : 's'} could not be confirmed; a refund for ${data.unconfirmedRooms === 1 ? 'it' : 'them'} will be issued.\n\n`
+                : '') +
+            `Check-in is from ${CHECK_IN_TIME}. We look forward to welcoming you.`
+    }),
+    payment_failed: (booking) => ({
+        subject: `Payment not completed – ${booking.bookingId}`,
+        text: `Dear ${booking.guestName},\n\nWe could not complete the payment for your booking ${booking.bookingId} (${describeStay(booking)}).\n\n` +
+            `No money has been taken for this attempt. You can try again from ${FRONTEND_URL}.`
+    }),
+    booking_cancelled: (booking, data = {}) => ({
+        subject: `Booking cancelled – ${booking.bookingId}`,
+        text: `Dear ${booking.guestName},\n\nYour booking ${booking.bookingId} (${describeStay(booking)}) has been cancelled.\n\n` +
+            (!(data.refundAmount > 0)
+                ? 'Under our cancellation policy no refund is due for this booking.'
+                // Emails queued before refundStatus existed only carried refunds that went through
+                : !data.refundStatus || data.refundStatus === 'processed'
+                    ? `A refund of ${formatRupees(data.refundAmount)} has been initiated to your original payment method and usually arrives within 5-7 working days.`
+                    : `A refund of ${formatRupees(data.refundAmount)} is due under our cancellation policy and is being processed. It usually reaches your original payment method within 5-7 working days.`)
+    }),
+    refund_issued: (booking, data = {}) => ({
+        subject: `Refund initiated – ${booking.bookingId}`,
+        text: `Dear ${booking.guestName},\n\nWe have initiated a refund of ${formatRupees(data.amount)} for booking ${booking.bookingId}.\n\n` +
+            'It usually reaches your original payment method within 5-7 working days.'
+    }),
+    pre_arrival: (booking) => ({
+        subject: `See you tomorrow – ${booking.bookingId}`,
+        text: `Dear ${booking.guestName},\n\nThis is a reminder that your stay at ${HOTEL_NAME} begins on ${toDateKey(booking.checkIn)}.\n\n` +
+            `Booking: ${booking.bookingId}\nStay: ${describeStay(booking)}\nCheck-in is from ${CHECK_IN_TIME}. Please carry a government photo ID.`
+    }),
+    waitlist_offer: (booking, data = {}) => ({
+        subject: `A room is available – ${booking.bookingId}`,
+        text: `Dear ${booking.guestName},\n\nGood news: a room you were waiting for at ${HOTEL_NAME} is now available.\n\n` +
+            `Stay: ${describeStay(booking)}\nGuests: ${booking.guests}\nPrice: ${formatRupees(booking.totalAmount)}\n\n` +
+            `We are holding it for you until ${new Date(data.expiresAt).toUTCString()}. Complete your booking here:\n${data.claimUrl}`
+    }),
+    post_stay: (booking) => ({
+        subject: `Thank you for staying with us`,
+        text: `Dear ${booking.guestName},\n\nThank you for staying at ${HOTEL_NAME}. We hope you enjoyed your visit and look forward to hosting you again.\n\n` +
+            `Book your next stay at ${FRONTEND_URL}.`
+    })
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderNotification(type, booking, data) {
+    const { subject, text } = NOTIFICATION_TEMPLATES[type](booking, data);
+    const html = text.split('\n\n').map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('');
+    return { to: booking.guestEmail, subject, text, html };
+}
+
+// Queues an email on the booking and tries to send it straight away. `key` makes
+// enqueueing idempotent: a booking never gets the same notification twice.
+async function enqueueNotification(booking, type, { key = type, data } = {}) {
+    // Channel guests hear from the channel; we only hold a placeholder address for them
+    if (booking.channelId) return;
+    try {
+        const queued = await Booking.updateOne(
+            { _id: booking._id, 'notifications.key': { $ne: key } },
+            { $push: { notifications: { key, type, data, status: 'queued', nextAttemptAt: new Date() } } }
+        );
+        if (queued.modifiedCount > 0) {
+            await processNotificationQueue({ bookingId: booking._id });
+        }
+    } catch (error) {
+        logger.error('Notification could not be queued', { bookingId: booking.bookingId, type, error });
+    }
+}
+
+async function deliverNotification(bookingId, notificationId) {
+    const now = new Date();
+    // Claim it for ten minutes so a parallel run doesn't send it too
+    const booking = await Booking.findOneAndUpdate(
+        {
+            _id: bookingId,
+            notifications: {
+                $elemMatch: { _id: notificationId, status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now } }
+            }
+        },
+        { $set: { 'notifications.$.status': 'sending', 'notifications.$.nextAttemptAt': new Date(now.getTime() + 10 * 60 * 1000) } },
+        { new: true }
+    );
+    if (!booking) return null;
+    const notification = booking.notifications.id(notificationId);
+    const update = { $inc: { 'notifications.$[n].attemptCount': 1 } };
+    let status;
+    try {
+        await getMessageTransport(EMAIL_TRANSPORT).send(renderNotification(notification.type, booking, notification.data));
+        status = 'sent';
+        update.$set = { 'notifications.$[n].status': status, 'notifications.$[n].sentAt': new Date() };
+        update.$push = { 'notifications.$[n].attempts': { at: now, transport: EMAIL_TRANSPORT } };
+    } catch (error) {
+        const retryIn = NOTIFICATION_RETRY_MINUTES[notification.attemptCount];
+        status = retryIn === undefined ? 'failed' : 'queued';
+        update.$set = { 'notifications.$[n].status': status };
+        if (retryIn !== undefined) {
+            update.$set['notifications.$[n].nextAttemptAt'] = new Date(now.getTime() + retryIn * 60 * 1000);
+        }
+        update.$push = { 'notifications.$[n].attempts': { at: now, transport: EMAIL_TRANSPORT, error: error.message } };
+        logger.warn('Notification email failed', { bookingId: booking.bookingId, type: notification.type, status, error });
+    }
+    await Booking.updateOne({ _id: bookingId }, update, { arrayFilters: [{ 'n._id': notificationId }] });
+    return status;
+}
+
+// Sends every notification that is due, optionally only for one booking
+async function processNotificationQueue({ bookingId, limit = 50 } = {}) {
+    const now = new Date();
+    const due = { status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now } };
+    const filter = { notifications: { $elemMatch: due } };
+    if (bookingId) filter._id = bookingId;
+    const bookings = await Booking.find(filter, { notifications: 1 }).limit(limit);
+    const results = { sent: 0, retrying: 0, failed: 0 };
+    for (const booking of bookings) {
+        for (const notification of booking.notifications) {
+            if (!due.status.$in.includes(notification.status) || notification.nextAttemptAt > now) continue;
+            const status = await deliverNotification(booking._id, notification._id);
+            if (status === 'sent') results.sent += 1;
+            else if (status === 'queued') results.retrying += 1;
+            else if (status === 'failed') results.failed += 1;
+        }
+    }
+    return results;
+}
+
+// Queues pre-arrival reminders for stays starting within 24 hours and thank-you
+// emails for guests who checked out in the last week
+async function scheduleStayNotifications() {
+    const now = new Date();
+    const today = getHotelToday(now);
+    const tomorrow = toDateKey(new Date(Date.parse(today) + DAY_MS));
+    const arriving = await Booking.find({
+        status: 'confirmed',
+        checkIn: { $gte: today, $lte: tomorrow },
+        'notifications.key': { $ne: 'pre_arrival' }
+    });
+    let reminders = 0;
+    for (const booking of arriving) {
+        const checkInAt = new Date(`${toDateKey(booking.checkIn)}T${CHECK_IN_TIME}:00${HOTEL_UTC_OFFSET}`);
+        const hoursToGo = (checkInAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+        if (hoursToGo > 0 && hoursToGo <= 24) {
+            await enqueueNotification(booking, 'pre_arrival');
+            reminders += 1;
+        }
+    }
+    const departed = await Booking.find({
+        status: 'checked_out',
+        checkedOutAt: { $gte: new Date(now.getTime() - 7 * DAY_MS) },
+        'notifications.key': { $ne: 'post_stay' }
+    });
+    for (const booking of departed) {
+        await enqueueNotification(booking, 'post_stay');
+    }
+    return { reminders, thankYous: departed.length };
+}
+
+// =====================================================
+// GUEST OTP
+// =====================================================
+function hashOtp(email, code) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`${email}:${code}`).digest('hex');
+}
+
+async function issueGuestOtp(email) {
+    const existing = await OtpCode.findOne({ email });
+    if (existing && Date.now() - existing.createdAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+        return { success: false, message: `Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code` };
+    }
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await OtpCode.findOneAndUpdate(
+        { email },
+        {
+            $set: {
+                codeHash: hashOtp(email, code),
+                attempts: 0,
+                expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+                createdAt: new Date()
+            }
+        },
+        { upsert: true }
+    );
+    await getMessageTransport(OTP_TRANSPORT).send({
+        to: email,
+        subject: 'Your Madura Grandeur login code',
+        text: `Your login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+    });
+    return { success: true };
+}
+
+async function verifyGuestOtp(email, code) {
+    const otp = await OtpCode.findOne({ email });
+    if (!otp || otp.expiresAt <= new Date()) {
+        return { success: false, message: 'Code expired, please request a new one' };
+    }
+    if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+        await otp.deleteOne();
+        return { success: false, message: 'Too many attempts, please request a new code' };
+    }
+    const expected = Buffer.from(otp.codeHash);
+    const actual = Buffer.from(hashOtp(email, String(code || '')));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        otp.attempts += 1;
+        await otp.save();
+        return { success: false, message: 'Invalid code' };
+    }
+    await otp.deleteOne();
+    return { success: true };
+}
+
+function isOwnBooking(booking, guestEmail) {
+    return booking.guestEmail.toLowerCase() === guestEmail;
+}
+
+// Lets a guest open their booking without signing in. Derived from the booking ID,
+// so it is handed out with the booking but never stored.
+function getBookingAccessToken(bookingId) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`booking:${bookingId}`).digest('base64url').slice(0, 32);
+}
+
+function isValidBookingAccessToken(bookingId, token) {
+    const expected = Buffer.from(getBookingAccessToken(bookingId));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isPasswordHash(value) {
+    return /^\$2[aby]\$\d{2}\$/.test(value || '');
+}
+
+function generateTemporaryPassword() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+// Locks the account for ADMIN_LOCKOUT_MINUTES once ADMIN_MAX_FAILED_LOGINS wrong passwords are
+// entered in a row. The count is $inc'd so parallel guesses can't slip past the limit.
+async function recordFailedLogin(admin, req) {
+    const updated = await Admin.findOneAndUpdate({ _id: admin._id }, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+    if (updated.failedLoginAttempts < ADMIN_MAX_FAILED_LOGINS) return;
+    const lockedUntil = new Date(Date.now() + ADMIN_LOCKOUT_MINUTES * 60 * 1000);
+    await Admin.updateOne({ _id: admin._id }, { $set: { lockedUntil, failedLoginAttempts: 0 } });
+    logger.warn('Admin account locked', { email: admin.email, lockedUntil, failedLogins: ADMIN_MAX_FAILED_LOGINS });
+    await recordAudit({ req, action: 'admin.lock', targetType: 'admin', targetId: admin._id, metadata: { email: admin.email, lockedUntil } });
+}
+
+function toAdminResponse(admin) {
+    return {
+        id: admin._id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+        active: admin.active,
+        mustChangePassword: admin.mustChangePassword,
+        lastLoginAt: admin.lastLoginAt,
+        lockedUntil: admin.lockedUntil && admin.lockedUntil > new Date() ? admin.lockedUntil : null,
+        createdAt: admin.createdAt
+    };
+}
+
+// =====================================================
+// ROOM ASSIGNMENT
+// =====================================================
+async function findOverlappingAssignment(roomId, checkIn, checkOut, excludeBookingId) {
+    return Booking.findOne({
+        _id: { $ne: excludeBookingId },
+        roomId,
+        status: { $in: ROOM_HOLDING_STATUSES },
+        checkIn: { $lt: toDateKey(checkOut) },
+        checkOut: { $gt: toDateKey(checkIn) }
+    });
+}
+
+// Rooms of a type that are in service and not assigned to anyone for the dates
+async function findFreeRooms(roomType, checkIn, checkOut) {
+    const rooms = await Room.find({ roomType, status: { $ne: 'out_of_order' } }).sort({ number: 1 });
+    const taken = await Booking.find({
+        roomId: { $in: rooms.map(r => r._id) },
+        status: { $in: ROOM_HOLDING_STATUSES },
+        checkIn: { $lt: toDateKey(checkOut) },
+        checkOut: { $gt: toDateKey(checkIn) }
+    }, { roomId: 1 });
+    const takenIds = new Set(taken.map(b => String(b.roomId)));
+    return rooms.filter(r => !takenIds.has(String(r._id)));
+}
+
+async function assignRoom(booking, room) {
+    if (!ROOM_HOLDING_STATUSES.includes(booking.status)) {
+        return { success: false, message: `Rooms can only be assigned to ${ROOM_HOLDING_STATUSES.join(' or ')} bookings` };
+    }
+    if (room.roomType !== booking.roomType) {
+        return { success: false, message: `Room ${room.number} is a ${room.roomType} room, booking is for ${booking.roomType}` };
+    }
+    if (room.status === 'out_of_order') {
+        return { success: false, message: `Room ${room.number} is out of order` };
+    }
+    const conflict = await findOverlappingAssignment(room._id, booking.checkIn, booking.checkOut, booking._id);
+    if (conflict) {
+        return { success: false, message: `Room ${room.number} is already assigned to booking ${conflict.bookingId} for these dates` };
+    }
+    booking.roomId = room._id;
+    booking.roomNumber = room.number;
+    await booking.save();
+    // Two assignments racing for the same room: the booking made later backs out
+    const raced = await findOverlappingAssignment(room._id, booking.checkIn, booking.checkOut, booking._id);
+    if (raced && raced.bookingDate <= booking.bookingDate) {
+        booking.roomId = undefined;
+        booking.roomNumber = undefined;
+        await booking.save();
+        return { success: false, message: `Room ${room.number} was just assigned to booking ${raced.bookingId}` };
+    }
+    return { success: true, booking };
+}
+
+// The first time round, creates the original standard/deluxe/suite types, carrying
+// over the room counts from the old single RoomAvailability document and pricing each
+// from its rate plan or ROOM_BASE_RATES. A fresh install starts unpriced types inactive;
+// one that already has bookings must not quietly stop selling rooms, so it refuses to
+// connect until every type has a rate.
+async function seedRoomTypes() {
+    if (await RoomType.countDocuments() > 0) return;
+    const legacy = await mongoose.connection.collection('roomavailabilities').findOne();
+    const upgrading = Boolean(legacy) || Boolean(await Booking.exists({}).setOptions({ withDeleted: true }));
+    const defaults = [
+        { code: 'standard', name: 'Standard Room', maxOccupancy: 2, totalRooms: 10 },
+        { code: 'deluxe', name: 'Deluxe Room', maxOccupancy: 3, totalRooms: 8 },
+        { code: 'suite', name: 'Suite', maxOccupancy: 4, totalRooms: 5 }
+    ];
+    const types = [];
+    for (const [index, type] of defaults.entries()) {
+        const ratePlan = await RatePlan.findOne({ roomType: type.code });
+        const baseRate = ratePlan && typeof ratePlan.baseRate === 'number' ? ratePlan.baseRate : Number(ROOM_BASE_RATES[type.code]);
+        const priced = Number.isFinite(baseRate) && baseRate > 0;
+        types.push({
+            ...type,
+            totalRooms: legacy && typeof legacy[type.code] === 'number' ? legacy[type.code] : type.totalRooms,
+            baseRate: priced ? baseRate : 0,
+            active: priced,
+            sortOrder: index
+        });
+    }
+    const unpriced = types.filter(type => !type.active).map(type => type.code);
+    if (upgrading && unpriced.length > 0) {
+        throw new Error(`Room types ${unpriced.join(', ')} have no rate plan. Set ROOM_BASE_RATES (e.g. {"standard":2500}) or add rate plans, then restart to migrate them`);
+    }
+    await RoomType.insertMany(types);
+    logger.info('Room types seeded', { inactive: unpriced });
+}
+
+// Seeds the first owner. The password comes only from ADMIN_PASSWORD, since a generated
+// one would have to be shown somewhere and logs are not the place for it; it has to be
+// changed on first login.
+async function createDefaultAdmin() {
+    try {
+        const adminCount = await Admin.countDocuments();
+        if (adminCount === 0) {
+            if (!process.env.ADMIN_PASSWORD) {
+                logger.error('No admin accounts exist; set ADMIN_PASSWORD to create the first owner');
+                return;
+            }
+            const defaultAdmin = new Admin({
+                email: process.env.ADMIN_EMAIL || 'admin@maduraGrandeur.com',
+                password: await bcrypt.hash(process.env.ADMIN_PASSWORD, BCRYPT_ROUNDS),
+                name: 'Administrator',
+                role: 'owner',
+                mustChangePassword: true
+            });
+            await defaultAdmin.save();
+            logger.info('Default admin created', { email: defaultAdmin.email });
+        }
+    } catch (error) {
+        logger.error('Default admin creation failed', { error });
+    }
+}
+
+// Hashes admin passwords stored before bcrypt was used and maps the old catch-all
+// 'admin' role to owner. Migrated accounts must pick a new password.
+async function migrateAdmins() {
+    try {
+        const admins = await Admin.find({ $or: [{ password: { $not: /^\$2[aby]\$/ } }, { role: 'admin' }] });
+        for (const admin of admins) {
+            if (!isPasswordHash(admin.password)) {
+                admin.password = await bcrypt.hash(admin.password, BCRYPT_ROUNDS);
+                admin.mustChangePassword = true;
+            }
+            if (admin.role === 'admin') {
+                admin.role = 'owner';
+            }
+            await admin.save();
+        }
+        if (admins.length > 0) {
+            logger.info('Admin accounts migrated', { count: admins.length });
+        }
+    } catch (error) {
+        logger.error('Admin migration failed', { error });
+    }
+}
+
+// =====================================================
+// MIDDLEWARE - JWT VERIFICATION
+// =====================================================
+const verifyToken = (req, res, next) => {
+    const token = req.headers['authorization'];
+    if (!token) {
+        return res.status(403).json({ success: false, message: 'No token provided' });
+    }
+    const actualToken = token.startsWith('Bearer ') ? token.slice(7) : token;
+    jwt.verify(actualToken, JWT_SECRET, (err, decoded) => {
+        if (err || decoded.type === 'guest') {
+            return res.status(401).json({ success: false, message: 'Invalid token' });
+        }
+        req.adminId = decoded.id;
+        next();
+    });
+};
+
+// Loads the signed-in admin on every request so disabling an account or changing
+// its role takes effect immediately rather than when the token expires
+const authenticateAdmin = (req, res, next) => {
+    verifyToken(req, res, async () => {
+        try {
+            await connectToDatabase();
+            const admin = await Admin.findById(req.adminId);
+            if (!admin || !admin.active) {
+                return res.status(401).json({ success: false, message: 'Account is disabled' });
+            }
+            req.admin = admin;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+    authenticateAdmin(req, res, () => {
+        if (req.admin.mustChangePassword) {
+            return res.status(403).json({ success: false, message: 'Password change required', mustChangePassword: true });
+        }
+        if (req.admin.role !== 'owner' && !roles.includes(req.admin.role)) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+        next();
+    });
+};
+
+// Guest tokens come from the OTP flow and only ever grant access to the guest's own records
+const verifyGuestToken = (req, res, next) => {
+    const token = req.headers['authorization'];
+    if (!token) {
+        return res.status(403).json({ success: false, message: 'No token provided' });
+    }
+    const actualToken = token.startsWith('Bearer ') ? token.slice(7) : token;
+    jwt.verify(actualToken, JWT_SECRET, (err, decoded) => {
+        if (err || decoded.type !== 'guest') {
+            return res.status(401).json({ success: false, message: 'Invalid token' });
+        }
+        req.guestEmail = decoded.email;
+        next();
+    });
+};
+
+// Lets a public route see which admin is calling when an admin token is sent,
+// without requiring one
+const identifyAdmin = (req, res, next) => {
+    const decoded = jwt.decode((req.headers['authorization'] || '').replace(/^Bearer /, ''));
+    if (!decoded || decoded.type === 'guest') {
+        return next();
+    }
+    authenticateAdmin(req, res, next);
+};
+
+// Like identifyAdmin, but an admin token must also pass requireRole, so staff-only options
+// on a public route aren't open to every role or to accounts awaiting a password change
+const identifyRole = (...roles) => (req, res, next) => {
+    const decoded = jwt.decode((req.headers['authorization'] || '').replace(/^Bearer /, ''));
+    if (!decoded || decoded.type === 'guest') {
+        return next();
+    }
+    requireRole(...roles)(req, res, next);
+};
+
+// For routes shared by guests and staff: guest tokens go through verifyGuestToken,
+// anything else must be an admin with one of the roles
+const guestOrRole = (...roles) => (req, res, next) => {
+    const token = (req.headers['authorization'] || '').replace(/^Bearer /, '');
+    const decoded = jwt.decode(token);
+    if (decoded && decoded.type === 'guest') {
+        return verifyGuestToken(req, res, next);
+    }
+    requireRole(...roles)(req, res, next);
+};
+
+// Internal jobs are called by Vercel Cron, which sends `Authorization: Bearer <CRON_SECRET>`
+const verifyCronSecret = (req, res, next) => {
+    if (!CRON_SECRET) {
+        return res.status(503).json({ success: false, message: 'Cron secret not configured' });
+    }
+    if (req.headers['authorization'] !== `Bearer ${CRON_SECRET}`) {
+        return res.status(401).json({ success: false, message: 'Invalid cron secret' });
+    }
+    next();
+};
+
+// =====================================================
+// MIDDLEWARE - RATE LIMITING
+// =====================================================
+function parseRateLimit(name, fallback) {
+    const [max, seconds] = (process.env[`RATE_LIMIT_${name}`] || fallback).split('/').map(Number);
+    return { max, windowMs: seconds * 1000 };
+}
+
+// Counts one request against `name` for `identity` in the current fixed window.
+// The count lives in MongoDB so every serverless instance shares it.
+async function consumeRateLimit(name, identity) {
+    const { max, windowMs } = RATE_LIMITS[name];
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const key = `${name}:${identity}:${windowStart}`;
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } };
+    let entry;
+    try {
+        entry = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+    } catch (error) {
+        // Two first requests in a window can race on the upsert; the loser just increments
+        if (error.code !== 11000) throw error;
+        entry = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+    }
+    return {
+        allowed: entry.count <= max,
+        limit: max,
+        remaining: Math.max(max - entry.count, 0),
+        retryAfterSeconds: Math.ceil((windowStart + windowMs - now) / 1000)
+    };
+}
+
+// Limits a route per client IP, or per whatever `identify` returns (e.g. an email).
+// Requests for which `identify` returns nothing are not counted. If the store is
+// unreachable the request is let through rather than failing the site.
+const rateLimit = (name, identify = getClientIp) => async (req, res, next) => {
+    const identity = identify(req);
+    if (!identity) return next();
+    let result;
+    try {
+        await connectToDatabase();
+        result = await consumeRateLimit(name, String(identity).toLowerCase());
+    } catch (error) {
+        logger.warn('Rate limit store unavailable', { limiter: name, error });
+        return next();
+    }
+    res.setHeader('RateLimit-Limit', result.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    if (!result.allowed) {
+        res.setHeader('Retry-After', result.retryAfterSeconds);
+        return res.status(429).json({
+            success: false,
+            message: `Too many requests, please try again in ${Math.ceil(result.retryAfterSeconds / 60)} minute(s)`
+        });
+    }
+    next();
+};
+
+// =====================================================
+// ROUTES - ADMIN AUTHENTICATION
+// =====================================================
+app.post('/api/admin/login', rateLimit('adminLogin'), validate({
+    body: { email: { type: 'email', required: true }, password: { type: 'string', required: true, max: 200 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { email, password } = req.body;
+    const admin = await Admin.findOne({ email: emailMatcher(email) });
+    if (admin && admin.lockedUntil > new Date()) {
+        const minutes = Math.ceil((admin.lockedUntil - Date.now()) / 60000);
+        return res.status(423).json({ success: false, message: `Account locked after too many failed logins. Try again in ${minutes} minute(s).` });
+    }
+    if (!admin || !admin.active || !(await bcrypt.compare(password, admin.password))) {
+        if (admin) await recordFailedLogin(admin, req);
+        return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+    admin.failedLoginAttempts = 0;
+    admin.lockedUntil = undefined;
+    admin.lastLoginAt = new Date();
+    await admin.save();
+    const token = jwt.sign({ id: admin._id, email: admin.email, role: admin.role, type: 'admin' }, JWT_SECRET, { expiresIn: '24h' });
+    return res.json({
+        success: true,
+        token,
+        mustChangePassword: admin.mustChangePassword,
+        admin: { email: admin.email, name: admin.name, role: admin.role }
+    });
+}));
+
+app.post('/api/admin/change-password', authenticateAdmin, validate({
+    body: {
+        currentPassword: { type: 'string', required: true, max: 200 },
+        newPassword: { type: 'string', required: true, max: 200 }
+    }
+}), asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!(await bcrypt.compare(String(currentPassword || ''), req.admin.password))) {
+        return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (await bcrypt.compare(newPassword, req.admin.password)) {
+        return res.status(400).json({ success: false, message: 'New password must be different from the current one' });
+    }
+    req.admin.password = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+    req.admin.mustChangePassword = false;
+    req.admin.passwordChangedAt = new Date();
+    await req.admin.save();
+    res.json({ success: true, message: 'Password changed' });
+}));
+
+app.get('/api/admin/status', requireRole(), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const adminCount = await Admin.countDocuments();
+    const admins = await Admin.find({}, { password: 0 });
+    res.json({ success: true, adminCount, admins });
+}));
+
+// =====================================================
+// ROUTES - ADMIN USER MANAGEMENT (OWNER)
+// =====================================================
+app.get('/api/admin/users', requireRole(), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json({ success: true, admins: admins.map(toAdminResponse) });
+}));
+
+// Invites a staff member with a temporary password they must change on first login. The
+// password is shown once in the response and emailed to them; it is never logged.
+app.post('/api/admin/users', requireRole(), validate({
+    body: {
+        email: { type: 'email', required: true },
+        name: { type: 'string', required: true, max: 100 },
+        role: { type: 'string', required: true, values: ADMIN_ROLES }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { email, name, role } = req.body;
+    if (await Admin.exists({ email: emailMatcher(email) })) {
+        return res.status(409).json({ success: false, message: 'An admin with this email already exists' });
+    }
+    const temporaryPassword = generateTemporaryPassword();
+    const admin = new Admin({
+        email,
+        name,
+        role,
+        password: await bcrypt.hash(temporaryPassword, BCRYPT_ROUNDS),
+        mustChangePassword: true,
+        invitedBy: req.admin._id
+    });
+    await admin.save();
+    await getMessageTransport(MESSAGE_TRANSPORT).send({
+        to: email,
+        subject: 'Your Madura Grandeur admin account',
+        text: `${req.admin.name} has invited you as ${role}. Sign in with ${email} and the temporary password ${temporaryPassword}; you will be asked to choose a new one.`
+    });
+    res.status(201).json({ success: true, admin: toAdminResponse(admin), temporaryPassword });
+}));
+
+app.put('/api/admin/users/:id', requireRole(), validate({
+    params: ID_PARAMS,
+    body: { name: { type: 'string', max: 100 }, role: { type: 'string', values: ADMIN_ROLES } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { name, role } = req.body;
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    if (admin._id.equals(req.admin._id) && role && role !== 'owner') {
+        return res.status(400).json({ success: false, message: 'You cannot remove your own owner role' });
+    }
+    if (name) admin.name = name;
+    if (role) admin.role = role;
+    await admin.save();
+    res.json({ success: true, admin: toAdminResponse(admin) });
+}));
+
+app.put('/api/admin/users/:id/disable', requireRole(), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    if (req.admin._id.equals(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'You cannot disable your own account' });
+    }
+    const admin = await Admin.findByIdAndUpdate(req.params.id, { $set: { active: false } }, { new: true });
+    if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    res.json({ success: true, admin: toAdminResponse(admin) });
+}));
+
+app.put('/api/admin/users/:id/enable', requireRole(), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const admin = await Admin.findByIdAndUpdate(
+        req.params.id,
+        { $set: { active: true, failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } },
+        { new: true }
+    );
+    if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    res.json({ success: true, admin: toAdminResponse(admin) });
+}));
+
+app.post('/api/admin/users/:id/reset-password', requireRole(), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    const temporaryPassword = generateTemporaryPassword();
+    admin.password = await bcrypt.hash(temporaryPassword, BCRYPT_ROUNDS);
+    admin.mustChangePassword = true;
+    admin.failedLoginAttempts = 0;
+    admin.lockedUntil = undefined;
+    await admin.save();
+    await getMessageTransport(MESSAGE_TRANSPORT).send({
+        to: admin.email,
+        subject: 'Your Madura Grandeur admin password was reset',
+        text: `Your password was reset by ${req.admin.name}. Sign in with the temporary password ${temporaryPassword}; you will be asked to choose a new one.`
+    });
+    res.json({ success: true, admin: toAdminResponse(admin), temporaryPassword });
+}));
+
+// =====================================================
+// ROUTES - USER PANEL
+// =====================================================
+app.post('/api/user/otp/request', rateLimit('otpRequest'), validate({ body: { email: { type: 'email', required: true } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const result = await issueGuestOtp(req.body.email);
+    if (!result.success) {
+        return res.status(429).json(result);
+    }
+    res.json({ success: true, message: 'Login code sent' });
+}));
+
+app.post('/api/user/otp/verify', rateLimit('otpVerify'), validate({
+    body: {
+        email: { type: 'email', required: true },
+        code: { type: 'string', required: true, pattern: /^\d{6}$/, patternMessage: 'must be the 6-digit code' }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { email, code } = req.body;
+    const result = await verifyGuestOtp(email, code);
+    if (!result.success) {
+        return res.status(401).json(result);
+    }
+    const token = jwt.sign({ email, type: 'guest' }, JWT_SECRET, { expiresIn: '7d' });
+    const guest = await Guest.findOne({ email: emailMatcher(email) });
+    res.json({
+        success: true,
+        token,
+        guest: { email, name: guest ? guest.name : null, phone: guest ? guest.phone : null }
+    });
+}));
+
+app.get('/api/user/bookings', verifyGuestToken, asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const bookings = await Booking.find({
+        guestEmail: emailMatcher(req.guestEmail)
+    }).sort({ bookingDate: -1 });
+    res.json({ success: true, bookings });
+}));
+
+app.put('/api/user/cancel-booking/:id', verifyGuestToken, validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    let booking = await Booking.findById(req.params.id);
+    if (!booking || !isOwnBooking(booking, req.guestEmail)) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const before = toAuditSnapshot(booking);
+    const cancellation = await calculateCancellationRefund(booking);
+    const result = await transitionBooking(booking, 'cancelled', { by: req.guestEmail, reason: 'Cancelled by guest' });
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    booking = result.booking;
+    let refund = null;
+    if (cancellation.amount > 0) {
+        refund = await issueRefund(booking, cancellation.amount, {
+            reason: `Cancellation ${cancellation.hoursBeforeCheckIn}h before check-in (${cancellation.refundPercent}% policy)`,
+            initiatedBy: booking.guestEmail
+        });
+    }
+    await enqueueNotification(booking, 'booking_cancelled', {
+        data: describeCancellationRefund(cancellation, refund)
+    });
+    await recordAudit({
+        req,
+        action: 'booking.cancel',
+        targetType: 'booking',
+        targetId: booking.bookingId,
+        before,
+        after: booking,
+        metadata: { cancellation }
+    });
+    res.json({ success: true, booking, cancellation, refund });
+}));
+
+app.put('/api/user/update-profile', verifyGuestToken, validate({
+    body: { name: { type: 'string', required: true, max: 100 }, phone: { type: 'phone', required: true } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const email = req.guestEmail;
+    const { name, phone } = req.body;
+    await Booking.updateMany(
+        { guestEmail: emailMatcher(email) },
+        { $set: { guestName: name, guestPhone: phone } }
+    );
+    await Guest.updateOne(
+        { email: emailMatcher(email) },
+        { $set: { name, phone } }
+    );
+    res.json({ success: true, message: 'Profile updated successfully' });
+}));
+
+// =====================================================
+// ROUTES - RAZORPAY PAYMENT
+// =====================================================
+// One Razorpay order for a booking, or for every room of a group reservation
+async function createPaymentOrder(amount, notes) {
+    return razorpay.orders.create({
+        amount: Math.round(amount * 100),
+        currency: "INR",
+        receipt: "MG_" + Date.now(),
+        notes
+    });
+}
+
+app.post("/api/payment/create-order", rateLimit('createOrderIp'), validate({
+    body: {
+        bookingData: {
+            type: 'object',
+            required: true,
+            // No bookingId: the server issues it, so clients can't collide with or guess others
+            fields: {
+                ...GUEST_FIELDS,
+                ...STAY_FIELDS,
+                specialRequests: { type: 'string', max: 1000 },
+                promoCode: { type: 'string', max: 32 }
+            }
+        }
+    },
+    check: req => checkStayDates(req.body.bookingData, { prefix: 'bookingData.', future: true })
+}), rateLimit('createOrderEmail', req => req.body.bookingData.guestEmail), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { bookingData } = req.body;
+    const availability = await checkRoomAvailability(bookingData.roomType, bookingData.checkIn, bookingData.checkOut);
+    if (!availability.success) {
+        // Sold-out stays can be waitlisted with POST /api/waitlist
+        return res.status(400).json({ ...availability, canJoinWaitlist: Boolean(availability.soldOutNights) });
+    }
+    let pricing = await calculateQuote(bookingData);
+    if (!pricing.success) {
+        return res.status(400).json(pricing);
+    }
+    if (bookingData.promoCode) {
+        pricing = await applyPromoCode(bookingData.promoCode, pricing.quote, bookingData.guestEmail);
+        if (!pricing.success) {
+            return res.status(400).json(pricing);
+        }
+    }
+    const booking = new Booking({
+        ...bookingData,
+        ...quoteToBookingFields(pricing.quote),
+        bookingId: generateBookingId(),
+        status: 'pending',
+        paymentStatus: 'pending',
+        inventoryReserved: false,
+        holdExpiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+    });
+    await booking.save();
+    const hold = await reserveInventory(booking);
+    if (!hold.success) {
+        await booking.deleteOne();
+        return res.status(400).json({ ...hold, canJoinWaitlist: Boolean(hold.soldOutNights) });
+    }
+    let order;
+    try {
+        order = await createPaymentOrder(booking.totalAmount, { bookingId: booking.bookingId, guestEmail: booking.guestEmail });
+    } catch (err) {
+        await releaseInventory(booking);
+        await booking.deleteOne();
+        throw err;
+    }
+    booking.razorpayOrderId = order.id;
+    await booking.save();
+    await recordAudit({ req, action: 'booking.create', targetType: 'booking', targetId: booking.bookingId, after: booking });
+    res.json({
+        success: true,
+        order,
+        bookingId: booking.bookingId,
+        accessToken: getBookingAccessToken(booking.bookingId),
+        quote: pricing.quote,
+        holdExpiresAt: booking.holdExpiresAt
+    });
+}));
+
+app.post("/api/payment/verify-payment", validate({
+    body: {
+        razorpay_order_id: { type: 'string', required: true, max: 100 },
+        razorpay_payment_id: { type: 'string', required: true, max: 100 },
+        razorpay_signature: { type: 'string', required: true, max: 200 },
+        bookingId: { ...BOOKING_ID_RULE, required: true }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, bookingId } = req.body;
+    const hmac = crypto.createHmac("sha256", process.env.RAZORPAY_KEY_SECRET);
+    hmac.update(razorpay_order_id + "|" + razorpay_payment_id);
+    const digest = hmac.digest("hex");
+    
+    if (digest === razorpay_signature) {
+        // The order must be this booking's, or a payment for one booking could confirm another
+        const booking = await Booking.findOne({ bookingId, razorpayOrderId: razorpay_order_id });
+        if (!booking) {
+            return res.status(404).json({ success: false, message: 'Booking not found' });
+        }
+        const before = toAuditSnapshot(booking);
+        const result = await confirmBooking(booking, {
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature
+        });
+        await recordAudit({
+            req,
+            action: 'payment.verify',
+            targetType: 'booking',
+            targetId: bookingId,
+            before,
+            after: result.booking,
+            metadata: { outcome: result.success ? 'confirmed' : result.booking.status, razorpayPaymentId: razorpay_payment_id }
+        });
+        countMetric('payments_total', { outcome: result.success ? 'confirmed' : result.booking.status });
+        if (!result.success) {
+            return res.status(409).json(result);
+        }
+        res.json({ success: true, booking: result.booking, accessToken: getBookingAccessToken(booking.bookingId) });
+    } else {
+        // A bad signature proves nothing about the booking, so it is only recorded: the
+        // hold stays for the guest to retry, as with Razorpay's payment.failed webhook
+        await recordAudit({
+            req,
+            action: 'payment.verify',
+            targetType: 'booking',
+            targetId: bookingId,
+            metadata: { outcome: 'signature_mismatch', razorpayOrderId: razorpay_order_id, razorpayPaymentId: razorpay_payment_id }
+        });
+        countMetric('payments_total', { outcome: 'signature_mismatch' });
+        res.json({ success: false, message: 'Payment verification failed' });
+    }
+}));
+
+app.post('/api/payment/webhook', asyncHandler(async (req, res) => {
+    if (!isValidWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+        return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+    }
+    const event = req.body;
+    const eventId = req.headers['x-razorpay-event-id'] || `${event.event}:${event.created_at}:${crypto.createHash('sha256').update(req.rawBody).digest('hex')}`;
+    await connectToDatabase();
+    try {
+        await WebhookEvent.create({ eventId, event: event.event });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json({ success: true, duplicate: true });
+        }
+        throw error;
+    }
+    try {
+        const result = await handleRazorpayEvent(event);
+        countMetric('razorpay_webhooks_total', { event: event.event, handled: Boolean(result.handled) });
+        if (result.handled) {
+            await recordAudit({
+                req,
+                actor: { actorType: 'razorpay', actor: 'webhook' },
+                action: `payment.webhook.${event.event}`,
+                targetType: 'booking',
+                targetId: result.bookingId,
+                metadata: { eventId, ...result }
+            });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        // Forget the event so Razorpay's retry gets processed
+        await WebhookEvent.deleteOne({ eventId });
+        throw error;
+    }
+}));
+
+// =====================================================
+// ROUTES - GROUP RESERVATIONS
+// =====================================================
+const RESERVATION_LINE_RULE = {
+    type: 'object',
+    fields: {
+        roomType: { ...ROOM_TYPE_CODE_RULE, required: true },
+        quantity: { type: 'number', required: true, integer: true, min: 1, max: MAX_RESERVATION_ROOMS },
+        guestsPerRoom: { type: 'number', integer: true, min: 1, max: 20 }
+    }
+};
+
+function checkReservationLines(reservation) {
+    const errors = checkStayDates(reservation, { prefix: 'reservation.', future: true });
+    const lines = reservation.lines || [];
+    if (lines.length === 0) {
+        errors.push({ field: 'reservation.lines', message: 'reservation.lines must have at least one room line' });
+    }
+    const roomTypes = lines.map(line => String(line.roomType).toLowerCase());
+    if (new Set(roomTypes).size !== roomTypes.length) {
+        errors.push({ field: 'reservation.lines', message: 'reservation.lines has the same roomType more than once' });
+    }
+    if (lines.reduce((sum, line) => sum + (line.quantity || 0), 0) > MAX_RESERVATION_ROOMS) {
+        errors.push({ field: 'reservation.lines', message: `A reservation can have at most ${MAX_RESERVATION_ROOMS} rooms` });
+    }
+    return errors;
+}
+
+// Like create-order, for several rooms at once: holds every room, then opens one
+// Razorpay order for the combined price
+app.post('/api/payment/create-reservation-order', rateLimit('createOrderIp'), validate({
+    body: {
+        reservation: {
+            type: 'object',
+            required: true,
+            fields: {
+                // No reservationId: the server issues it and the room booking IDs derived from it
+                ...GUEST_FIELDS,
+                checkIn: { type: 'date', required: true },
+                checkOut: { type: 'date', required: true },
+                specialRequests: { type: 'string', max: 1000 },
+                lines: { type: 'array', required: true, max: 10, items: RESERVATION_LINE_RULE }
+            }
+        }
+    },
+    check: req => checkReservationLines(req.body.reservation)
+}), rateLimit('createOrderEmail', req => req.body.reservation.guestEmail), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const held = await holdReservation(req.body.reservation);
+    if (!held.success) {
+        return res.status(400).json({ ...held, canJoinWaitlist: Boolean(held.soldOutNights) });
+    }
+    const { reservation, bookings } = held;
+    let order;
+    try {
+        order = await createPaymentOrder(reservation.totalAmount, { reservationId: reservation.reservationId, guestEmail: reservation.guestEmail });
+    } catch (err) {
+        await discardReservation(reservation, bookings);
+        throw err;
+    }
+    reservation.razorpayOrderId = order.id;
+    await reservation.save();
+    await Booking.updateMany({ reservationId: reservation.reservationId }, { $set: { razorpayOrderId: order.id } });
+    await recordAudit({ req, action: 'reservation.create', targetType: 'reservation', targetId: reservation.reservationId, after: reservation });
+    res.json({
+        success: true,
+        order,
+        reservationId: reservation.reservationId,
+        accessToken: getBookingAccessToken(reservation.reservationId),
+        reservation: toReservationResponse(reservation, bookings),
+        holdExpiresAt: bookings[0].holdExpiresAt
+    });
+}));
+
+app.post('/api/payment/verify-reservation-payment', validate({
+    body: {
+        razorpay_order_id: { type: 'string', required: true, max: 100 },
+        razorpay_payment_id: { type: 'string', required: true, max: 100 },
+        razorpay_signature: { type: 'string', required: true, max: 200 },
+        reservationId: { ...BOOKING_ID_RULE, required: true }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, reservationId } = req.body;
+    const reservation = await Reservation.findOne({ reservationId, razorpayOrderId: razorpay_order_id });
+    if (!reservation) {
+        return res.status(404).json({ success: false, message: 'Reservation not found' });
+    }
+    const digest = crypto.createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+        .update(razorpay_order_id + "|" + razorpay_payment_id)
+        .digest("hex");
+    if (digest !== razorpay_signature) {
+        // Recorded only; the rooms stay held so the guest can retry the payment
+        await recordAudit({
+            req,
+            action: 'payment.verify',
+            targetType: 'reservation',
+            targetId: reservationId,
+            metadata: { outcome: 'signature_mismatch', razorpayOrderId: razorpay_order_id, razorpayPaymentId: razorpay_payment_id }
+        });
+        countMetric('payments_total', { outcome: 'signature_mismatch' });
+        return res.status(400).json({ success: false, message: 'Invalid payment signature' });
+    }
+    const result = await confirmReservation(reservation, {
+        razorpayPaymentId: razorpay_payment_id,
+        razorpaySignature: razorpay_signature
+    });
+    await recordAudit({
+        req,
+        action: 'payment.verify',
+        targetType: 'reservation',
+        targetId: reservationId,
+        metadata: { outcome: result.success ? 'confirmed' : 'partially_confirmed', razorpayPaymentId: razorpay_payment_id }
+    });
+    countMetric('payments_total', { outcome: result.success ? 'confirmed' : 'partially_confirmed' });
+    const response = {
+        success: result.success,
+        message: result.message,
+        reservation: toReservationResponse(reservation, result.bookings),
+        accessToken: getBookingAccessToken(reservationId)
+    };
+    res.status(result.success ? 200 : 409).json(response);
+}));
+
+// Guests open it with their email or the access token; staff with their admin token
+app.get('/api/reservations/:reservationId', identifyAdmin, rateLimit('bookingLookup', req => (req.admin ? null : getClientIp(req))), validate({
+    params: { reservationId: { ...BOOKING_ID_RULE, required: true } },
+    query: { email: { type: 'email' }, token: { type: 'string', max: 100 } },
+    check: req => (req.admin || req.query.email || req.query.token ? [] : [{ field: 'email', message: 'email or token is required' }])
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { email, token } = req.query;
+    const reservation = await Reservation.findOne({ reservationId: req.params.reservationId });
+    const allowed = reservation && (req.admin ||
+        (email ? isOwnBooking(reservation, email) : isValidBookingAccessToken(reservation.reservationId, token)));
+    if (!allowed) {
+        return res.status(404).json({ success: false, message: 'Reservation not found' });
+    }
+    const bookings = await Booking.find({ reservationId: reservation.reservationId });
+    res.json({ success: true, reservation: toReservationResponse(reservation, bookings) });
+}));
+
+// Cancels one room line: its rooms are released and refunded under the cancellation
+// policy while the rest of the reservation stands
+app.post('/api/reservations/:reservationId/lines/:line/cancel', guestOrRole('manager', 'front_desk'), validate({
+    params: {
+        reservationId: { ...BOOKING_ID_RULE, required: true },
+        line: { type: 'number', required: true, integer: true, min: 0, max: 9 }
+    },
+    body: { reason: { type: 'string', max: 500 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const reservation = await Reservation.findOne({ reservationId: req.params.reservationId });
+    if (!reservation || (!req.admin && !isOwnBooking(reservation, req.guestEmail))) {
+        return res.status(404).json({ success: false, message: 'Reservation not found' });
+    }
+    if (!reservation.lines[req.params.line]) {
+        return res.status(404).json({ success: false, message: 'Room line not found' });
+    }
+    const by = req.admin ? req.admin.email : req.guestEmail;
+    const result = await cancelReservationLine(reservation, req.params.line, {
+        by,
+        reason: req.body.reason || (req.admin ? 'Room line cancelled by staff' : 'Room line cancelled by guest')
+    });
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    await recordAudit({
+        req,
+        action: 'reservation.cancel_line',
+        targetType: 'reservation',
+        targetId: reservation.reservationId,
+        metadata: {
+            line: req.params.line,
+            roomType: result.line.roomType,
+            bookingIds: result.cancelled.map(c => c.booking.bookingId),
+            refundTotal: result.refundTotal
+        }
+    });
+    const bookings = await Booking.find({ reservationId: reservation.reservationId });
+    res.json({
+        success: true,
+        reservation: toReservationResponse(reservation, bookings),
+        cancelled: result.cancelled,
+        refundTotal: result.refundTotal
+    });
+}));
+
+// =====================================================
+// ROUTES - WAITLIST
+// =====================================================
+const WAITLIST_QUERY = {
+    date: { type: 'date' },
+    roomType: ROOM_TYPE_CODE_RULE,
+    status: { type: 'string', values: WAITLIST_STATUSES }
+};
+
+function toWaitlistResponse(entry) {
+    const { claimTokenHash, ...fields } = entry.toObject();
+    return fields;
+}
+
+app.post('/api/waitlist', rateLimit('waitlistJoin'), validate({
+    body: { ...GUEST_FIELDS, ...STAY_FIELDS },
+    check: req => checkStayDates(req.body, { future: true })
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const stay = req.body;
+    const availability = await checkRoomAvailability(stay.roomType, stay.checkIn, stay.checkOut);
+    if (availability.success) {
+        return res.status(409).json({ success: false, message: 'Rooms are available for these dates; please book directly' });
+    }
+    if (!availability.soldOutNights) {
+        return res.status(400).json(availability);
+    }
+    const roomType = stay.roomType.toLowerCase();
+    const existing = await WaitlistEntry.findOne({
+        guestEmail: stay.guestEmail,
+        roomType,
+        checkIn: stay.checkIn,
+        checkOut: stay.checkOut,
+        status: { $in: WAITLIST_ACTIVE_STATUSES }
+    });
+    if (existing) {
+        return res.status(409).json({ success: false, message: 'You are already on the waitlist for these dates' });
+    }
+    const entry = new WaitlistEntry({ ...stay, roomType });
+    await entry.save();
+    const ahead = await WaitlistEntry.countDocuments({
+        roomType,
+        status: 'waiting',
+        checkIn: { $lt: entry.checkOut },
+        checkOut: { $gt: entry.checkIn },
+        createdAt: { $lt: entry.createdAt }
+    });
+    await recordAudit({ req, action: 'waitlist.join', targetType: 'waitlist', targetId: entry._id, after: entry });
+    res.status(201).json({ success: true, entry: toWaitlistResponse(entry), position: ahead + 1 });
+}));
+
+// The claim link from the offer email: starts checkout for the held booking
+app.post('/api/waitlist/claim', rateLimit('waitlistClaim'), validate({
+    body: { token: { type: 'string', required: true, max: 100 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const now = new Date();
+    const entry = await WaitlistEntry.findOne({ claimTokenHash: hashClaimToken(req.body.token) });
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+    // A claimed offer stays valid for as long as its checkout hold
+    if (!['offered', 'claimed'].includes(entry.status) || (entry.status === 'offered' && entry.offerExpiresAt <= now)) {
+        return res.status(410).json({ success: false, message: 'This offer has expired' });
+    }
+    // Leave the guest a full checkout window even when they claim near the end of the offer
+    const holdExpiresAt = new Date(Math.max(entry.offerExpiresAt.getTime(), now.getTime() + HOLD_MINUTES * 60 * 1000));
+    const booking = await Booking.findOneAndUpdate(
+        { bookingId: entry.bookingId, status: 'pending', holdExpiresAt: { $gt: now } },
+        { $set: { holdExpiresAt } },
+        { new: true }
+    );
+    if (!booking) {
+        return res.status(410).json({ success: false, message: 'This offer has expired' });
+    }
+    const order = booking.razorpayOrderId
+        ? await razorpay.orders.fetch(booking.razorpayOrderId)
+        : await createPaymentOrder(booking.totalAmount, { bookingId: booking.bookingId, guestEmail: booking.guestEmail });
+    if (!booking.razorpayOrderId) {
+        booking.razorpayOrderId = order.id;
+        await booking.save();
+    }
+    if (entry.status === 'offered') {
+        entry.status = 'claimed';
+        entry.claimedAt = now;
+        await entry.save();
+        await recordAudit({ req, action: 'waitlist.claim', targetType: 'waitlist', targetId: entry._id, metadata: { bookingId: booking.bookingId } });
+    }
+    res.json({
+        success: true,
+        order,
+        bookingId: booking.bookingId,
+        accessToken: getBookingAccessToken(booking.bookingId),
+        booking,
+        holdExpiresAt: booking.holdExpiresAt
+    });
+}));
+
+app.post('/api/waitlist/:id/leave', validate({ params: ID_PARAMS, body: { email: { type: 'email', required: true } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, guestEmail: emailMatcher(req.body.email) });
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    }
+    const result = await withdrawWaitlistEntry(entry, { by: 'guest', reason: 'Guest left the waitlist' });
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    await recordAudit({ req, action: 'waitlist.leave', targetType: 'waitlist', targetId: entry._id, before: entry, after: result.entry });
+    res.json({ success: true, message: 'You have left the waitlist' });
+}));
+
+// Entries whose stay covers `date` (default: all upcoming), in the order they will be offered
+app.get('/api/waitlist', requireRole('manager', 'front_desk'), validate({ query: WAITLIST_QUERY }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { date, roomType, status } = req.query;
+    const filter = date
+        ? { checkIn: { $lte: date }, checkOut: { $gt: date } }
+        : { checkOut: { $gt: getHotelToday() } };
+    if (roomType) filter.roomType = roomType.toLowerCase();
+    filter.status = status || { $in: WAITLIST_ACTIVE_STATUSES };
+    const entries = await WaitlistEntry.find(filter).sort({ createdAt: 1 }).limit(MAX_PAGE_SIZE);
+    const positions = {};
+    res.json({
+        success: true,
+        entries: entries.map(entry => {
+            const response = toWaitlistResponse(entry);
+            if (entry.status === 'waiting') {
+                positions[entry.roomType] = (positions[entry.roomType] || 0) + 1;
+                response.position = positions[entry.roomType];
+            }
+            return response;
+        })
+    });
+}));
+
+// Offers a room to this entry now, ahead of anyone waiting longer
+app.post('/api/waitlist/:id/offer', requireRole('manager', 'front_desk'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    }
+    if (entry.status !== 'waiting') {
+        return res.status(409).json({ success: false, message: `Waitlist entry is already ${entry.status}` });
+    }
+    const result = await offerWaitlistEntry(entry);
+    if (!result.success) {
+        return res.status(409).json({ success: false, message: result.message, soldOutNights: result.soldOutNights });
+    }
+    await recordAudit({ req, action: 'waitlist.manual_offer', targetType: 'waitlist', targetId: entry._id, metadata: { bookingId: result.booking.bookingId } });
+    res.json({ success: true, entry: toWaitlistResponse(result.entry), bookingId: result.booking.bookingId });
+}));
+
+app.delete('/api/waitlist/:id', requireRole('manager', 'front_desk'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    }
+    const result = await withdrawWaitlistEntry(entry, { by: req.admin.email, reason: 'Removed from the waitlist by staff' });
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    await recordAudit({ req, action: 'waitlist.cancel', targetType: 'waitlist', targetId: entry._id, before: entry, after: result.entry });
+    res.json({ success: true, message: 'Waitlist entry cancelled' });
+}));
+
+// =====================================================
+// ROUTES - INTERNAL JOBS
+// =====================================================
+app.get('/api/internal/expire-holds', verifyCronSecret, asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const expired = await expireStaleHolds();
+    res.json({ success: true, expiredCount: expired.length, expired });
+}));
+
+app.get('/api/internal/mark-no-shows', verifyCronSecret, asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const marked = await markNoShows();
+    res.json({ success: true, noShowCount: marked.length, noShows: marked });
+}));
+
+app.get('/api/internal/process-notifications', verifyCronSecret, asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const scheduled = await scheduleStayNotifications();
+    const delivery = await processNotificationQueue();
+    res.json({ success: true, scheduled, delivery });
+}));
+
+app.get('/api/internal/sync-channels', verifyCronSecret, asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const channels = await Channel.find({ active: true, importUrl: { $exists: true, $ne: '' } });
+    const results = [];
+    for (const channel of channels) {
+        results.push(await syncChannel(channel));
+    }
+    res.json({ success: true, channelCount: channels.length, results });
+}));
+
+// =====================================================
+// ROUTES - EXPORT & IMPORT
+// =====================================================
+// Registered before /api/bookings/:bookingId so 'export' isn't taken for an ID
+app.get('/api/bookings/export', requireRole('manager', 'accountant'), validate({
+    query: { ...BOOKING_FILTER_QUERY, format: { type: 'string', values: EXPORT_FORMATS } }
+}), asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const query = buildBookingFilter(req.query);
+    if (!query.success) {
+        return res.status(400).json(query);
+    }
+    await connectToDatabase();
+    await recordAudit({ req, action: 'booking.export', targetType: 'booking', metadata: { format, query: req.query } });
+    await sendExport(res, {
+        format,
+        filename: `bookings-${getHotelToday()}`,
+        sheetName: 'Bookings',
+        columns: BOOKING_EXPORT_COLUMNS,
+        cursor: Booking.find(query.filter).sort({ bookingDate: -1 }).cursor()
+    });
+}));
+
+app.get('/api/guests/export', requireRole('manager', 'accountant'), validate({
+    query: { format: { type: 'string', values: EXPORT_FORMATS }, from: { type: 'date' }, to: { type: 'date' } }
+}), asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const filter = {};
+    if (req.query.from || req.query.to) {
+        filter.lastBooking = {};
+        if (req.query.from) filter.lastBooking.$gte = new Date(`${toDateKey(req.query.from)}T00:00:00${HOTEL_UTC_OFFSET}`);
+        if (req.query.to) filter.lastBooking.$lt = new Date(Date.parse(`${toDateKey(req.query.to)}T00:00:00${HOTEL_UTC_OFFSET}`) + DAY_MS);
+        if (Object.values(filter.lastBooking).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+        }
+    }
+    await connectToDatabase();
+    await recordAudit({ req, action: 'guest.export', targetType: 'guest', metadata: { format, query: req.query } });
+    await sendExport(res, {
+        format,
+        filename: `guests-${getHotelToday()}`,
+        sheetName: 'Guests',
+        columns: GUEST_EXPORT_COLUMNS,
+        cursor: Guest.find(filter).sort({ lastBooking: -1 }).cursor()
+    });
+}));
+
+// Takes a CSV body (Content-Type: text/csv) with a header row of booking field names:
+// guestName, guestEmail, guestPhone, roomType, checkIn, checkOut, and optionally
+// bookingId, guests, status, paymentStatus, source, specialRequests.
+// ?dryRun=true validates every row without creating anything.
+app.post('/api/bookings/import', requireRole('manager', 'front_desk'), validate({ query: { dryRun: { type: 'boolean' } } }), express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '2mb' }), asyncHandler(async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ success: false, message: 'Send the CSV as the request body with Content-Type: text/csv' });
+    }
+    await connectToDatabase();
+    const result = await importBookings(req.body, { dryRun: req.query.dryRun === true, req });
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+}));
+
+// =====================================================
+// ROUTES - BOOKINGS (ADMIN)
+// =====================================================
+app.get('/api/bookings', requireRole('manager', 'front_desk', 'accountant'), validate({
+    query: { ...BOOKING_FILTER_QUERY, ...LIST_QUERY }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const query = buildBookingFilter(req.query);
+    if (!query.success) {
+        return res.status(400).json(query);
+    }
+    const page = await paginate(Booking, query.filter, req.query, { sortFields: BOOKING_SORT_FIELDS, defaultSort: '-bookingDate' });
+    if (!page.success) {
+        return res.status(400).json(page);
+    }
+    res.setHeader('X-Total-Count', page.total);
+    res.json({ success: true, bookings: page.items, nextCursor: page.nextCursor, total: page.total });
+}));
+
+// Public lookup: the booking ID alone is guessable, so the guest's email or the
+// booking's access token must come with it (?email= or ?token=)
+app.get('/api/bookings/:bookingId', rateLimit('bookingLookup'), validate({
+    params: { bookingId: { ...BOOKING_ID_RULE, required: true } },
+    query: { email: { type: 'email' }, token: { type: 'string', max: 100 } },
+    check: req => (req.query.email || req.query.token ? [] : [{ field: 'email', message: 'email or token is required' }])
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { email, token } = req.query;
+    const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+    const allowed = booking && (email ? isOwnBooking(booking, email) : isValidBookingAccessToken(booking.bookingId, token));
+    if (!allowed) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    res.json({ success: true, booking });
+}));
+
+app.put('/api/bookings/:id', requireRole('manager', 'front_desk'), validate({
+    params: ID_PARAMS,
+    body: { status: { type: 'string', required: true, values: BOOKING_STATUSES }, reason: { type: 'string', max: 500 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const { status, reason } = req.body;
+    const result = await transitionBooking(booking, status, { by: req.admin.email, reason });
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    if (status === 'confirmed') {
+        await recordGuestBooking(result.booking);
+    }
+    if (status === 'cancelled') {
+        await enqueueNotification(result.booking, 'booking_cancelled');
+    }
+    await recordAudit({ req, action: 'booking.update', targetType: 'booking', targetId: booking.bookingId, before: booking, after: result.booking });
+    res.json({ success: true, booking: result.booking });
+}));
+
+app.delete('/api/bookings/:id', requireRole('manager'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (booking) {
+        const before = toAuditSnapshot(booking);
+        await releaseInventory(booking);
+        booking.deletedAt = new Date();
+        booking.deletedBy = req.admin.email;
+        await booking.save();
+        await recordAudit({ req, action: 'booking.delete', targetType: 'booking', targetId: booking.bookingId, before, after: booking });
+    }
+    res.json({ success: true, message: 'Booking deleted' });
+}));
+
+// Anyone may create a pending booking; only staff may create it already confirmed
+app.post('/api/bookings', identifyRole('manager', 'front_desk'), rateLimit('createBooking', req => (req.admin ? null : getClientIp(req))), validate({
+    body: {
+        bookingId: BOOKING_ID_RULE,
+        ...GUEST_FIELDS,
+        ...STAY_FIELDS,
+        specialRequests: { type: 'string', max: 1000 },
+        status: { type: 'string', values: ['pending', 'confirmed'], default: 'pending' }
+    },
+    check: req => checkStayDates(req.body, { future: !req.admin })
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { roomType, checkIn, checkOut } = req.body;
+    const availability = await checkRoomAvailability(roomType, checkIn, checkOut);
+    if (!availability.success) {
+        return res.status(400).json(availability);
+    }
+    const pricing = await calculateQuote(req.body);
+    if (!pricing.success) {
+        return res.status(400).json(pricing);
+    }
+    const { status: requestedStatus, bookingId, ...fields } = req.body;
+    if (requestedStatus === 'confirmed' && !req.admin) {
+        return res.status(403).json({ success: false, message: 'Only staff can create confirmed bookings' });
+    }
+    // Staff may keep an ID from another system; guests always get one issued
+    if (bookingId && !req.admin) {
+        return res.status(403).json({ success: false, message: 'Only staff can choose a booking ID' });
+    }
+    if (bookingId && await Booking.exists({ bookingId }).setOptions({ withDeleted: true })) {
+        return res.status(409).json({ success: false, message: 'A booking with this ID already exists' });
+    }
+    let booking = new Booking({
+        ...fields,
+        bookingId: bookingId || generateBookingId(),
+        ...quoteToBookingFields(pricing.quote),
+        status: 'pending',
+        statusHistory: [],
+        inventoryReserved: false
+    });
+    await booking.save();
+    // Pending bookings count towards the guest's history once confirmed
+    if (requestedStatus === 'confirmed') {
+        const result = await transitionBooking(booking, 'confirmed', { by: req.admin.email, reason: 'Booked as confirmed' });
+        if (!result.success) {
+            await booking.deleteOne();
+            return res.status(400).json(result);
+        }
+        booking = result.booking;
+        await recordGuestBooking(booking);
+    }
+    await recordAudit({ req, action: 'booking.create', targetType: 'booking', targetId: booking.bookingId, after: booking });
+    res.json({ success: true, booking });
+}));
+
+app.post('/api/bookings/:id/check-in', requireRole('manager', 'front_desk'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const result = await transitionBooking(booking, 'checked_in', { by: req.admin.email });
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    await recordAudit({ req, action: 'booking.check_in', targetType: 'booking', targetId: booking.bookingId, before: booking, after: result.booking });
+    res.json({ success: true, booking: result.booking });
+}));
+
+app.post('/api/bookings/:id/check-out', requireRole('manager', 'front_desk'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const result = await transitionBooking(booking, 'checked_out', { by: req.admin.email });
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    await recordAudit({ req, action: 'booking.check_out', targetType: 'booking', targetId: booking.bookingId, before: booking, after: result.booking });
+    res.json({ success: true, booking: result.booking });
+}));
+
+app.post('/api/bookings/:id/refund', requireRole('manager', 'accountant'), validate({
+    params: ID_PARAMS,
+    body: { amount: { type: 'number', required: true, min: 0.01 }, reason: { type: 'string', max: 500 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const before = toAuditSnapshot(booking);
+    const amount = Number(req.body.amount);
+    const result = await issueRefund(booking, amount, {
+        reason: req.body.reason || 'Manual refund',
+        initiatedBy: req.admin.email
+    });
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    await enqueueNotification(booking, 'refund_issued', {
+        key: `refund_issued:${result.refund.refundId}`,
+        data: { amount: result.refund.amount }
+    });
+    await recordAudit({ req, action: 'booking.refund', targetType: 'booking', targetId: booking.bookingId, before, after: booking });
+    res.json({ success: true, refund: result.refund, booking });
+}));
+
+// =====================================================
+// ROUTES - INVOICES
+// =====================================================
+app.get('/api/bookings/:bookingId/invoice.pdf', guestOrRole('accountant', 'manager', 'front_desk'), validate({
+    params: { bookingId: { ...BOOKING_ID_RULE, required: true } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+    if (!booking || (req.guestEmail && !isOwnBooking(booking, req.guestEmail))) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const result = await issueInvoiceDocuments(booking);
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    if (result.issued) {
+        await recordAudit({
+            req,
+            action: 'invoice.issue',
+            targetType: 'booking',
+            targetId: booking.bookingId,
+            metadata: { invoiceNumber: result.booking.invoice.number }
+        });
+    }
+    const { invoice } = result.booking;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number.replace(/\//g, '-')}.pdf"`);
+    renderInvoicePdf(invoice.snapshot, buildCreditNotes(result.booking)).pipe(res);
+}));
+
+// =====================================================
+// ROUTES - CANCELLATION POLICIES
+// =====================================================
+app.get('/api/cancellation-policies', asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const policies = await CancellationPolicy.find();
+    const byRoomType = new Map(policies.map(p => [p.roomType, p.rules]));
+    res.json({
+        success: true,
+        policies: (await getActiveRoomTypeCodes()).map(roomType => ({
+            roomType,
+            rules: byRoomType.get(roomType) || DEFAULT_CANCELLATION_RULES,
+            isDefault: !byRoomType.has(roomType)
+        }))
+    });
+}));
+
+app.put('/api/cancellation-policies/:roomType', requireRole('manager'), validate({
+    params: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true } },
+    body: {
+        rules: {
+            type: 'array',
+            required: true,
+            max: 20,
+            items: {
+                type: 'object',
+                fields: {
+                    minHoursBeforeCheckIn: { type: 'number', required: true, min: 0 },
+                    refundPercent: { type: 'number', required: true, min: 0, max: 100 }
+                }
+            }
+        }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { rules } = req.body;
+    if (!(await RoomType.exists({ code: req.params.roomType }))) {
+        return res.status(404).json({ success: false, message: 'Room type not found' });
+    }
+    const policy = await CancellationPolicy.findOneAndUpdate(
+        { roomType: req.params.roomType },
+        { $set: { rules, updatedAt: new Date() } },
+        { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, policy });
+}));
+
+// =====================================================
+// ROUTES - PRICING
+// =====================================================
+app.post('/api/pricing/quote', validate({
+    body: STAY_FIELDS,
+    check: req => checkStayDates(req.body)
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const result = await calculateQuote(req.body);
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+}));
+
+const RATE_PLAN_FIELDS = {
+    baseRate: { type: 'number', min: 0 },
+    baseOccupancy: { type: 'number', integer: true, min: 1, max: 20 },
+    extraGuestCharge: { type: 'number', min: 0 },
+    overrides: {
+        type: 'array',
+        max: 100,
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', required: true, max: 100 },
+                startDate: { type: 'date' },
+                endDate: { type: 'date' },
+                daysOfWeek: { type: 'array', max: 7, items: { type: 'number', integer: true, min: 0, max: 6 } },
+                rate: { type: 'number', min: 0 },
+                adjustmentPercent: { type: 'number', min: -100, max: 1000 },
+                priority: { type: 'number', integer: true }
+            }
+        }
+    }
+};
+
+app.get('/api/rate-plans', requireRole('manager', 'accountant'), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const ratePlans = await RatePlan.find().sort({ roomType: 1 });
+    res.json({ success: true, ratePlans });
+}));
+
+app.get('/api/rate-plans/:roomType', requireRole('manager', 'accountant'), validate({ params: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const ratePlan = await RatePlan.findOne({ roomType: req.params.roomType });
+    if (!ratePlan) {
+        return res.status(404).json({ success: false, message: 'Rate plan not found' });
+    }
+    res.json({ success: true, ratePlan });
+}));
+
+app.post('/api/rate-plans', requireRole('manager'), validate({
+    body: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true }, ...RATE_PLAN_FIELDS }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    if (!(await RoomType.exists({ code: req.body.roomType }))) {
+        return res.status(400).json({ success: false, message: 'Unknown room type' });
+    }
+    if (await RatePlan.exists({ roomType: req.body.roomType })) {
+        return res.status(409).json({ success: false, message: 'Rate plan already exists for this room type' });
+    }
+    const ratePlan = new RatePlan(req.body);
+    await ratePlan.save();
+    res.status(201).json({ success: true, ratePlan });
+}));
+
+app.put('/api/rate-plans/:roomType', requireRole('manager'), validate({
+    params: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true } },
+    body: RATE_PLAN_FIELDS
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { baseRate, baseOccupancy, extraGuestCharge, overrides } = req.body;
+    const ratePlan = await RatePlan.findOneAndUpdate(
+        { roomType: req.params.roomType },
+        { $set: { baseRate, baseOccupancy, extraGuestCharge, overrides, updatedAt: new Date() } },
+        { new: true, runValidators: true }
+    );
+    if (!ratePlan) {
+        return res.status(404).json({ success: false, message: 'Rate plan not found' });
+    }
+    res.json({ success: true, ratePlan });
+}));
+
+app.delete('/api/rate-plans/:roomType', requireRole('manager'), validate({ params: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    await RatePlan.deleteOne({ roomType: req.params.roomType });
+    res.json({ success: true, message: 'Rate plan deleted' });
+}));
+
+// =====================================================
+// ROUTES - PROMO CODES
 // =====================================================
-// ROUTES - ROOM AVAILABILITY
-// =====================================================
-app.get('/api/rooms', async (req, res) => {
+const PROMO_CODE_FIELDS = {
+    description: { type: 'string', max: 500 },
+    discountType: { type: 'string', values: ['flat', 'percentage'] },
+    discountValue: { type: 'number', min: 0 },
+    maxDiscount: { type: 'number', min: 0 },
+    minNights: { type: 'number', integer: true, min: 1 },
+    validFrom: { type: 'date' },
+    validUntil: { type: 'date' },
+    roomTypes: { type: 'array', max: 50, items: ROOM_TYPE_CODE_RULE },
+    usageLimit: { type: 'number', integer: true, min: 0 },
+    perGuestLimit: { type: 'number', integer: true, min: 0 },
+    active: { type: 'boolean' }
+};
+
+app.post('/api/promo/validate', rateLimit('promoValidate'), validate({
+    body: { code: { type: 'string', required: true, max: 32 }, guestEmail: { type: 'email' }, ...STAY_FIELDS },
+    check: req => checkStayDates(req.body)
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { code, guestEmail } = req.body;
+    const pricing = await calculateQuote(req.body);
+    if (!pricing.success) {
+        return res.status(400).json(pricing);
+    }
+    const result = await applyPromoCode(code, pricing.quote, guestEmail);
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    res.json({
+        success: true,
+        code: result.promo.code,
+        description: result.promo.description,
+        discount: result.quote.discount,
+        quote: result.quote
+    });
+}));
+
+app.get('/api/promo-codes', requireRole('manager', 'accountant'), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const promoCodes = await PromoCode.find().sort({ createdAt: -1 });
+    res.json({ success: true, promoCodes });
+}));
+
+app.post('/api/promo-codes', requireRole('manager'), validate({
+    body: {
+        code: { type: 'string', required: true, max: 32, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'may only contain letters, digits, - and _' },
+        ...PROMO_CODE_FIELDS,
+        discountType: { ...PROMO_CODE_FIELDS.discountType, required: true },
+        discountValue: { ...PROMO_CODE_FIELDS.discountValue, required: true }
+    }
+}), asyncHandler(async (req, res) => {
     try {
         await connectToDatabase();
-        let rooms = await RoomAvailability.findOne();
-        if (!rooms) {
-            rooms = new RoomAvailability();
-            await rooms.save();
+        const fields = req.body;
+        if (fields.roomTypes && await RoomType.countDocuments({ code: { $in: fields.roomTypes } }) !== fields.roomTypes.length) {
+            return res.status(400).json({ success: false, message: 'roomTypes contains an unknown room type' });
         }
-        res.json({ success: true, rooms });
+        const promoCode = new PromoCode(fields);
+        await promoCode.save();
+        res.status(201).json({ success: true, promoCode });
     } catch (error) {
-        console.error('Get rooms error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Promo code already exists' });
+        }
+        throw error;
     }
-});
+}));
+
+app.put('/api/promo-codes/:code', requireRole('manager'), validate({
+    params: { code: { type: 'string', required: true, max: 32 } },
+    body: PROMO_CODE_FIELDS
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const fields = req.body;
+    if (fields.roomTypes && await RoomType.countDocuments({ code: { $in: fields.roomTypes } }) !== fields.roomTypes.length) {
+        return res.status(400).json({ success: false, message: 'roomTypes contains an unknown room type' });
+    }
+    const promoCode = await PromoCode.findOneAndUpdate(
+        { code: req.params.code.toUpperCase() },
+        { $set: fields },
+        { new: true, runValidators: true }
+    );
+    if (!promoCode) {
+        return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    res.json({ success: true, promoCode });
+}));
+
+app.delete('/api/promo-codes/:code', requireRole('manager'), validate({ params: { code: { type: 'string', required: true, max: 32 } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    await PromoCode.deleteOne({ code: req.params.code.toUpperCase() });
+    res.json({ success: true, message: 'Promo code deleted' });
+}));
+
+// =====================================================
+// ROUTES - GUESTS (ADMIN)
+// =====================================================
+app.get('/api/guests', requireRole('manager', 'front_desk'), validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const filter = buildSearchFilter(req.query.q, ['name', 'email', 'phone']) || {};
+    const page = await paginate(Guest, filter, req.query, { sortFields: GUEST_SORT_FIELDS, defaultSort: '-lastBooking' });
+    if (!page.success) {
+        return res.status(400).json(page);
+    }
+    res.setHeader('X-Total-Count', page.total);
+    res.json({ success: true, guests: page.items, nextCursor: page.nextCursor, total: page.total });
+}));
+
+// =====================================================
+// ROUTES - ROOM ASSIGNMENT & HOUSEKEEPING
+// =====================================================
+app.put('/api/bookings/:id/room', requireRole('manager', 'front_desk'), validate({
+    params: ID_PARAMS,
+    body: { roomId: { type: 'objectId' }, roomNumber: { type: 'string', max: 20 } },
+    check: req => (req.body.roomId || req.body.roomNumber ? [] : [{ field: 'roomId', message: 'roomId or roomNumber is required' }])
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const { roomId, roomNumber } = req.body;
+    const room = roomId ? await Room.findById(roomId) : await Room.findOne({ number: roomNumber });
+    if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    const before = toAuditSnapshot(booking);
+    const result = await assignRoom(booking, room);
+    if (!result.success) {
+        return res.status(409).json(result);
+    }
+    await recordAudit({ req, action: 'booking.assign_room', targetType: 'booking', targetId: booking.bookingId, before, after: booking });
+    res.json({ success: true, booking });
+}));
+
+app.delete('/api/bookings/:id/room', requireRole('manager', 'front_desk'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+    const before = toAuditSnapshot(booking);
+    booking.roomId = undefined;
+    booking.roomNumber = undefined;
+    await booking.save();
+    await recordAudit({ req, action: 'booking.unassign_room', targetType: 'booking', targetId: booking.bookingId, before, after: booking });
+    res.json({ success: true, booking });
+}));
+
+app.get('/api/rooms/units', requireRole('manager', 'front_desk'), validate({
+    query: { roomType: ROOM_TYPE_CODE_RULE, status: { type: 'string', values: ROOM_STATUSES } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const filter = {};
+    if (req.query.roomType) filter.roomType = req.query.roomType;
+    if (req.query.status) filter.status = req.query.status;
+    const rooms = await Room.find(filter).sort({ floor: 1, number: 1 });
+    res.json({ success: true, rooms });
+}));
+
+app.get('/api/rooms/units/free', requireRole('manager', 'front_desk'), validate({
+    query: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true }, checkIn: { type: 'date', required: true }, checkOut: { type: 'date', required: true } },
+    check: req => checkStayDates(req.query)
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { roomType, checkIn, checkOut } = req.query;
+    const rooms = await findFreeRooms(roomType, checkIn, checkOut);
+    res.json({ success: true, rooms });
+}));
 
-app.put('/api/rooms', verifyToken, async (req, res) => {
+app.post('/api/rooms/units', requireRole('manager'), validate({
+    body: {
+        number: { type: 'string', required: true, max: 20 },
+        floor: { type: 'number', required: true, integer: true, min: -5, max: 200 },
+        roomType: { ...ROOM_TYPE_CODE_RULE, required: true },
+        status: { type: 'string', values: ROOM_STATUSES },
+        notes: { type: 'string', max: 500 }
+    }
+}), asyncHandler(async (req, res) => {
     try {
         await connectToDatabase();
-        const { standard, deluxe, suite } = req.body;
-        let rooms = await RoomAvailability.findOne();
-        if (!rooms) {
-            rooms = new RoomAvailability({ standard, deluxe, suite });
-        } else {
-            rooms.standard = standard;
-            rooms.deluxe = deluxe;
-            rooms.suite = suite;
-            rooms.updatedAt = new Date();
+        const { number, floor, roomType, status, notes } = req.body;
+        if (!(await RoomType.exists({ code: roomType }))) {
+            return res.status(400).json({ success: false, message: 'Unknown room type' });
         }
-        await rooms.save();
-        res.json({ success: true, rooms });
+        const room = new Room({ number, floor, roomType, status, notes });
+        await room.save();
+        await recordAudit({ req, action: 'room.create', targetType: 'room', targetId: room.number, after: room });
+        if (room.status !== 'out_of_order') await offerWaitlistedRooms(room.roomType);
+        res.status(201).json({ success: true, room });
     } catch (error) {
-        console.error('Update rooms error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'A room with this number already exists' });
+        }
+        throw error;
     }
-});
+}));
+
+app.put('/api/rooms/units/:id', requireRole('manager'), validate({
+    params: ID_PARAMS,
+    body: {
+        floor: { type: 'number', integer: true, min: -5, max: 200 },
+        roomType: ROOM_TYPE_CODE_RULE,
+        notes: { type: 'string', max: 500 }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    const before = toAuditSnapshot(room);
+    const { floor, roomType, notes } = req.body;
+    if (roomType && !(await RoomType.exists({ code: roomType }))) {
+        return res.status(400).json({ success: false, message: 'Unknown room type' });
+    }
+    if (roomType && roomType !== room.roomType &&
+        await Booking.exists({ roomId: room._id, status: { $in: ROOM_HOLDING_STATUSES } })) {
+        return res.status(409).json({ success: false, message: 'Room has active bookings assigned; reassign them first' });
+    }
+    if (floor !== undefined) room.floor = floor;
+    if (roomType) room.roomType = roomType;
+    if (notes !== undefined) room.notes = notes;
+    room.updatedAt = new Date();
+    await room.save();
+    await recordAudit({ req, action: 'room.update', targetType: 'room', targetId: room.number, before, after: room });
+    if (room.roomType !== before.roomType) await offerWaitlistedRooms(room.roomType);
+    res.json({ success: true, room });
+}));
+
+// Housekeeping marks rooms clean, dirty or out of order
+app.put('/api/rooms/units/:id/status', requireRole('manager', 'front_desk'), validate({
+    params: ID_PARAMS,
+    body: { status: { type: 'string', required: true, values: ROOM_STATUSES }, notes: { type: 'string', max: 500 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { status, notes } = req.body;
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    const before = toAuditSnapshot(room);
+    room.status = status;
+    if (notes !== undefined) room.notes = notes;
+    room.updatedAt = new Date();
+    await room.save();
+    await recordAudit({ req, action: 'room.status', targetType: 'room', targetId: room.number, before, after: room });
+    if (before.status === 'out_of_order' && status !== 'out_of_order') await offerWaitlistedRooms(room.roomType);
+    res.json({ success: true, room });
+}));
+
+app.delete('/api/rooms/units/:id', requireRole('manager'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    if (await Booking.exists({ roomId: room._id, status: { $in: ROOM_HOLDING_STATUSES } })) {
+        return res.status(409).json({ success: false, message: 'Room has active bookings assigned; reassign them first' });
+    }
+    await room.deleteOne();
+    await recordAudit({ req, action: 'room.delete', targetType: 'room', targetId: room.number, before: room });
+    res.json({ success: true, message: 'Room deleted' });
+}));
+
+// Rooms waiting to be cleaned, with the stay that last used them
+app.get('/api/housekeeping', requireRole('manager', 'front_desk'), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const rooms = await Room.find({ status: 'dirty' }).sort({ floor: 1, number: 1 });
+    const today = getHotelToday();
+    const queue = [];
+    for (const room of rooms) {
+        const lastStay = await Booking.findOne(
+            { roomId: room._id, status: 'checked_out' },
+            { bookingId: 1, guestName: 1, checkedOutAt: 1 }
+        ).sort({ checkedOutAt: -1 });
+        const nextArrival = await Booking.findOne(
+            { roomId: room._id, status: 'confirmed', checkIn: { $gte: today } },
+            { bookingId: 1, guestName: 1, checkIn: 1 }
+        ).sort({ checkIn: 1 });
+        queue.push({ room, lastStay, nextArrival });
+    }
+    res.json({ success: true, rooms: queue });
+}));
 
 // =====================================================
-// ROUTES - STATISTICS
+// ROUTES - ROOM TYPES
 // =====================================================
-app.get('/api/stats', verifyToken, async (req, res) => {
+const ROOM_TYPE_FIELDS = ['name', 'description', 'maxOccupancy', 'amenities', 'baseRate', 'images', 'totalRooms', 'active', 'sortOrder'];
+const ROOM_TYPE_BODY = {
+    name: { type: 'string', max: 100 },
+    description: { type: 'string', max: 2000 },
+    maxOccupancy: { type: 'number', integer: true, min: 1, max: 20 },
+    amenities: { type: 'array', max: 50, items: { type: 'string', max: 100 } },
+    baseRate: { type: 'number', min: 0 },
+    images: { type: 'array', max: 20, items: { type: 'string', max: 1000, pattern: /^https?:\/\//, patternMessage: 'must be an http(s) URL' } },
+    totalRooms: { type: 'number', integer: true, min: 0, max: 10000 },
+    active: { type: 'boolean' },
+    sortOrder: { type: 'number', integer: true }
+};
+
+function toRoomTypeCatalogEntry(type) {
+    return {
+        code: type.code,
+        name: type.name,
+        description: type.description,
+        maxOccupancy: type.maxOccupancy,
+        amenities: type.amenities,
+        baseRate: type.baseRate,
+        images: type.images
+    };
+}
+
+app.get('/api/room-types', asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const roomTypes = await RoomType.find({ active: true }).sort({ sortOrder: 1, code: 1 });
+    res.json({ success: true, roomTypes: roomTypes.map(toRoomTypeCatalogEntry) });
+}));
+
+app.get('/api/room-types/:code', validate({ params: { code: { ...ROOM_TYPE_CODE_RULE, required: true } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const roomType = await getRoomType(req.params.code);
+    if (!roomType) {
+        return res.status(404).json({ success: false, message: 'Room type not found' });
+    }
+    res.json({ success: true, roomType: toRoomTypeCatalogEntry(roomType) });
+}));
+
+app.get('/api/admin/room-types', requireRole('manager', 'front_desk', 'accountant'), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const roomTypes = await RoomType.find().sort({ sortOrder: 1, code: 1 });
+    res.json({ success: true, roomTypes });
+}));
+
+app.post('/api/room-types', requireRole('manager'), validate({
+    body: {
+        code: { ...ROOM_TYPE_CODE_RULE, required: true },
+        ...ROOM_TYPE_BODY,
+        name: { ...ROOM_TYPE_BODY.name, required: true },
+        maxOccupancy: { ...ROOM_TYPE_BODY.maxOccupancy, required: true },
+        baseRate: { ...ROOM_TYPE_BODY.baseRate, required: true }
+    }
+}), asyncHandler(async (req, res) => {
     try {
         await connectToDatabase();
-        const totalBookings = await Booking.countDocuments();
-        const confirmedBookings = await Booking.countDocuments({ status: 'confirmed' });
-        const cancelledBookings = await Booking.countDocuments({ status: 'cancelled' });
-        const revenueData = await Booking.aggregate([
-            { $match: { status: 'confirmed', paymentStatus: 'completed' } },
-            { $group: { _id: null, total: { $sum: '$totalAmount' } } }
-        ]);
-        const totalRevenue = revenueData.length > 0 ? revenueData[0].total : 0;
-        res.json({
-            success: true,
-            stats: { totalBookings, confirmedBookings, cancelledBookings, totalRevenue }
-        });
+        const fields = { code: req.body.code };
+        for (const field of ROOM_TYPE_FIELDS) {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        }
+        const roomType = new RoomType(fields);
+        await roomType.save();
+        await recordAudit({ req, action: 'room_type.create', targetType: 'room_type', targetId: roomType.code, after: roomType });
+        res.status(201).json({ success: true, roomType });
     } catch (error) {
-        console.error('Get stats error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'A room type with this code already exists' });
+        }
+        throw error;
     }
-});
+}));
+
+app.put('/api/room-types/:code', requireRole('manager'), validate({
+    params: { code: { ...ROOM_TYPE_CODE_RULE, required: true } },
+    body: ROOM_TYPE_BODY
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const roomType = await RoomType.findOne({ code: req.params.code });
+    if (!roomType) {
+        return res.status(404).json({ success: false, message: 'Room type not found' });
+    }
+    const before = toAuditSnapshot(roomType);
+    for (const field of ROOM_TYPE_FIELDS) {
+        if (req.body[field] !== undefined) roomType[field] = req.body[field];
+    }
+    roomType.updatedAt = new Date();
+    await roomType.save();
+    await recordAudit({ req, action: 'room_type.update', targetType: 'room_type', targetId: roomType.code, before, after: roomType });
+    if (roomType.totalRooms > before.totalRooms) await offerWaitlistedRooms(roomType.code);
+    res.json({ success: true, roomType });
+}));
+
+// Room types that were ever booked are retired rather than deleted so old bookings keep their type
+app.delete('/api/room-types/:code', requireRole('manager'), validate({ params: { code: { ...ROOM_TYPE_CODE_RULE, required: true } } }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const roomType = await RoomType.findOne({ code: req.params.code });
+    if (!roomType) {
+        return res.status(404).json({ success: false, message: 'Room type not found' });
+    }
+    const before = toAuditSnapshot(roomType);
+    const inUse = await Booking.exists({ roomType: roomType.code }).setOptions({ withDeleted: true }) ||
+        await Room.exists({ roomType: roomType.code });
+    if (inUse) {
+        roomType.active = false;
+        roomType.updatedAt = new Date();
+        await roomType.save();
+    } else {
+        await roomType.deleteOne();
+    }
+    await recordAudit({ req, action: inUse ? 'room_type.retire' : 'room_type.delete', targetType: 'room_type', targetId: roomType.code, before, after: inUse ? roomType : null });
+    res.json({ success: true, message: inUse ? 'Room type retired' : 'Room type deleted' });
+}));
+
+// =====================================================
+// ROUTES - ROOM AVAILABILITY
+// =====================================================
+app.get('/api/rooms', asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const roomTypes = await RoomType.find({ active: true }).sort({ sortOrder: 1, code: 1 });
+    const rooms = Object.fromEntries(roomTypes.map(t => [t.code, t.totalRooms]));
+    const capacity = await getCapacityByRoomType();
+    res.json({ success: true, rooms, capacity });
+}));
+
+app.get('/api/rooms/availability', validate({
+    query: { roomType: ROOM_TYPE_CODE_RULE, checkIn: { type: 'date', required: true }, checkOut: { type: 'date', required: true } },
+    check: req => checkStayDates(req.query)
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { checkIn, checkOut, roomType } = req.query;
+    const roomTypes = roomType ? [roomType] : await getActiveRoomTypeCodes();
+    const availability = [];
+    for (const type of roomTypes) {
+        const result = await getNightlyAvailability(type, checkIn, checkOut);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        const { success, ...summary } = result;
+        availability.push(summary);
+    }
+    res.json({ success: true, checkIn: toDateKey(checkIn), checkOut: toDateKey(checkOut), availability });
+}));
+
+// Sets totalRooms per room type, e.g. { "standard": 10, "deluxe": 8 }
+app.put('/api/rooms', requireRole('manager'), validate({
+    body: { type: 'map', key: /^[a-z0-9_-]+$/, of: { type: 'number', required: true, integer: true, min: 0, max: 10000 } }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const counts = req.body;
+    const codes = Object.keys(counts);
+    const roomTypes = await RoomType.find({ code: { $in: codes } });
+    if (roomTypes.length !== codes.length) {
+        return res.status(400).json({ success: false, message: 'Unknown room type in request' });
+    }
+    const before = Object.fromEntries(roomTypes.map(t => [t.code, t.totalRooms]));
+    for (const roomType of roomTypes) {
+        roomType.totalRooms = counts[roomType.code];
+        roomType.updatedAt = new Date();
+        await roomType.save();
+    }
+    const rooms = Object.fromEntries(roomTypes.map(t => [t.code, t.totalRooms]));
+    await recordAudit({ req, action: 'rooms.update', targetType: 'rooms', before, after: rooms });
+    for (const code of codes.filter(code => rooms[code] > before[code])) {
+        await offerWaitlistedRooms(code);
+    }
+    res.json({ success: true, rooms });
+}));
+
+// =====================================================
+// ROUTES - CHANNELS
+// =====================================================
+const CHANNEL_FIELDS = {
+    name: { type: 'string', max: 60 },
+    roomType: ROOM_TYPE_CODE_RULE,
+    importUrl: { type: 'string', max: 2000, pattern: /^https?:\/\/\S+$/, patternMessage: 'must be an http(s) URL' },
+    active: { type: 'boolean' }
+};
+
+function toChannelResponse(channel, req) {
+    const token = getChannelFeedToken(channel.roomType);
+    return {
+        ...channel.toObject(),
+        exportUrl: `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}/api/channels/${channel.roomType}.ics?token=${token}`
+    };
+}
+
+// Public: the OTA polls this with the token from the export URL
+app.get('/api/channels/:roomType.ics', validate({
+    params: { roomType: { ...ROOM_TYPE_CODE_RULE, required: true } },
+    query: { token: { type: 'string', max: 100 } }
+}), asyncHandler(async (req, res) => {
+    const roomType = req.params.roomType.toLowerCase();
+    if (!isValidChannelFeedToken(roomType, req.query.token)) {
+        return res.status(404).json({ success: false, message: 'Feed not found' });
+    }
+    await connectToDatabase();
+    const feed = await buildChannelFeed(roomType);
+    if (!feed.success) {
+        return res.status(404).json({ success: false, message: 'Feed not found' });
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(feed.ics);
+}));
+
+app.get('/api/channels', requireRole('manager'), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const channels = await Channel.find().sort({ roomType: 1, name: 1 });
+    res.json({ success: true, channels: channels.map(channel => toChannelResponse(channel, req)) });
+}));
+
+app.post('/api/channels', requireRole('manager'), validate({
+    body: {
+        ...CHANNEL_FIELDS,
+        name: { ...CHANNEL_FIELDS.name, required: true },
+        roomType: { ...CHANNEL_FIELDS.roomType, required: true }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    if (!await getRoomType(req.body.roomType)) {
+        return res.status(400).json({ success: false, message: 'Unknown room type' });
+    }
+    const channel = new Channel(req.body);
+    await channel.save();
+    await recordAudit({ req, action: 'channel.create', targetType: 'channel', targetId: channel._id, after: channel });
+    res.status(201).json({ success: true, channel: toChannelResponse(channel, req) });
+}));
+
+app.put('/api/channels/:id', requireRole('manager'), validate({ params: ID_PARAMS, body: CHANNEL_FIELDS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    if (req.body.roomType && !await getRoomType(req.body.roomType)) {
+        return res.status(400).json({ success: false, message: 'Unknown room type' });
+    }
+    const channel = await Channel.findById(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    const before = toAuditSnapshot(channel);
+    Object.assign(channel, req.body);
+    await channel.save();
+    await recordAudit({ req, action: 'channel.update', targetType: 'channel', targetId: channel._id, before, after: channel });
+    res.json({ success: true, channel: toChannelResponse(channel, req) });
+}));
+
+// Bookings already imported from the channel are kept
+app.delete('/api/channels/:id', requireRole('manager'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const channel = await Channel.findByIdAndDelete(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    await recordAudit({ req, action: 'channel.delete', targetType: 'channel', targetId: channel._id, before: channel });
+    res.json({ success: true, message: 'Channel deleted' });
+}));
+
+app.post('/api/channels/:id/sync', requireRole('manager'), validate({ params: ID_PARAMS }), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const channel = await Channel.findById(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ success: false, message: 'Channel not found' });
+    }
+    if (!channel.importUrl) {
+        return res.status(400).json({ success: false, message: 'Channel has no import URL' });
+    }
+    const result = await syncChannel(channel);
+    res.status(result.status === 'ok' ? 200 : 502).json({ success: result.status === 'ok', result });
+}));
+
+// =====================================================
+// ROUTES - STATISTICS
+// =====================================================
+app.get('/api/stats', requireRole('manager', 'accountant'), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const totalBookings = await Booking.countDocuments();
+    const confirmedBookings = await Booking.countDocuments({ status: 'confirmed' });
+    const cancelledBookings = await Booking.countDocuments({ status: 'cancelled' });
+    const needsRefundBookings = await Booking.countDocuments({ status: 'needs_refund' });
+    const checkedInBookings = await Booking.countDocuments({ status: 'checked_in' });
+    const noShowBookings = await Booking.countDocuments({ status: 'no_show' });
+    const revenueData = await Booking.aggregate([
+        { $match: { status: { $in: BOOKED_STATUSES }, paymentStatus: 'completed' } },
+        { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+    ]);
+    const totalRevenue = revenueData.length > 0 ? revenueData[0].total : 0;
+    res.json({
+        success: true,
+        stats: { totalBookings, confirmedBookings, checkedInBookings, cancelledBookings, noShowBookings, needsRefundBookings, totalRevenue }
+    });
+}));
 
 // =====================================================
-// HEALTH CHECK
+// ROUTES - ANALYTICS
 // =====================================================
-app.get('/api/health', async (req, res) => {
+// Totals for the whole range plus the same figures per room type
+app.get('/api/analytics/summary', requireRole('manager', 'accountant'), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+    const range = parseAnalyticsQuery(req.query);
+    if (!range.success) {
+        return res.status(400).json(range);
+    }
+    await connectToDatabase();
+    const byRoomType = await getRevenueByRoomType(range);
+    const capacity = await getCapacityByRoomType();
+    const totalCapacity = Object.values(capacity).reduce((sum, count) => sum + count, 0);
+    const sold = byRoomType.reduce((sum, row) => sum + row.roomNightsSold, 0);
+    const revenue = byRoomType.reduce((sum, row) => sum + row.revenue, 0);
+    res.json({
+        success: true,
+        from: range.from,
+        to: range.to,
+        summary: {
+            ...calculateRoomKpis(sold, revenue, totalCapacity * range.days),
+            ...(await getBookingKpis(range))
+        },
+        byRoomType
+    });
+}));
+
+// Occupancy, ADR, RevPAR and revenue per day, week or month
+app.get('/api/analytics/timeseries', requireRole('manager', 'accountant'), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+    const range = parseAnalyticsQuery(req.query);
+    if (!range.success) {
+        return res.status(400).json(range);
+    }
+    await connectToDatabase();
+    const series = await getOccupancySeries(range);
+    res.json({ success: true, from: range.from, to: range.to, groupBy: range.groupBy, series });
+}));
+
+// =====================================================
+// ROUTES - AUDIT LOG (OWNER)
+// =====================================================
+app.get('/api/audit', requireRole(), validate({
+    query: {
+        actor: { type: 'string', max: 200 },
+        actorType: { type: 'string', max: 20 },
+        action: { type: 'string', max: 100 },
+        targetType: { type: 'string', max: 50 },
+        targetId: { type: 'string', max: 200 },
+        from: { type: 'datetime' },
+        to: { type: 'datetime' },
+        page: { type: 'number', integer: true, min: 1 },
+        limit: { type: 'number', integer: true, min: 1, max: 200 }
+    }
+}), asyncHandler(async (req, res) => {
+    await connectToDatabase();
+    const { actor, actorType, action, targetType, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (actorType) filter.actorType = actorType;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    const [logs, total] = await Promise.all([
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        AuditLog.countDocuments(filter)
+    ]);
+    res.json({ success: true, logs, page, limit, total, totalPages: Math.ceil(total / limit) });
+}));
+
+// =====================================================
+// HEALTH CHECK & METRICS
+// =====================================================
+let razorpayCheck = null;
+
+// Asks Razorpay for one order to prove the key pair is accepted. The result is cached
+// for RAZORPAY_CHECK_TTL_MS so frequent probes don't spend API quota.
+async function checkRazorpayCredentials() {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+        return { ok: false, error: 'RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set' };
+    }
+    if (razorpayCheck && razorpayCheck.expiresAt > Date.now()) {
+        return razorpayCheck.result;
+    }
+    let result;
+    try {
+        await Promise.race([
+            razorpay.orders.all({ count: 1 }),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Razorpay did not respond in time')), 5000).unref())
+        ]);
+        result = { ok: true };
+    } catch (error) {
+        const rejected = error.statusCode === 401;
+        result = { ok: false, error: rejected ? 'Razorpay rejected the API keys' : (error.message || (error.error && error.error.description) || 'Razorpay check failed') };
+    }
+    razorpayCheck = { result, expiresAt: Date.now() + RAZORPAY_CHECK_TTL_MS };
+    return result;
+}
+
+async function checkMongo() {
     try {
         await connectToDatabase();
-        const adminCount = await Admin.countDocuments();
-        const bookingCount = await Booking.countDocuments();
-        const guestCount = await Guest.countDocuments();
-        const rooms = await RoomAvailability.findOne();
-        res.json({ 
-            success: true, 
-            message: 'Server running on Vercel!',
-            mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-            razorpay: 'Configured',
-            stats: { admins: adminCount, bookings: bookingCount, guests: guestCount },
-            roomAvailability: rooms || { standard: 0, deluxe: 0, suite: 0 }
-        });
+        await mongoose.connection.db.admin().ping();
+        return { ok: true };
     } catch (error) {
-        res.status(500).json({ success: false, message: 'Server error' });
+        return { ok: false, error: error.message };
+    }
+}
+
+// Liveness: the process is up and serving requests. Checks nothing else, so a
+// database outage doesn't get healthy instances restarted.
+app.get('/api/health/live', (req, res) => {
+    res.json({ success: true, status: 'alive', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: MongoDB answers a ping and Razorpay accepts our keys
+app.get('/api/health/ready', asyncHandler(async (req, res) => {
+    const [mongodb, razorpayStatus] = await Promise.all([checkMongo(), checkRazorpayCredentials()]);
+    const ready = mongodb.ok && razorpayStatus.ok;
+    if (!ready) {
+        logger.warn('Readiness check failed', { mongodb, razorpay: razorpayStatus });
+    }
+    res.status(ready ? 200 : 503).json({ success: ready, status: ready ? 'ready' : 'not_ready', checks: { mongodb, razorpay: razorpayStatus } });
+}));
+
+// Kept for existing monitors; same checks as readiness
+app.get('/api/health', asyncHandler(async (req, res) => {
+    const [mongodb, razorpayStatus] = await Promise.all([checkMongo(), checkRazorpayCredentials()]);
+    const ready = mongodb.ok && razorpayStatus.ok;
+    res.status(ready ? 200 : 503).json({
+        success: ready,
+        mongodb: mongodb.ok ? 'Connected' : 'Disconnected',
+        razorpay: razorpayStatus.ok ? 'Configured' : 'Unavailable'
+    });
+}));
+
+app.get('/metrics', (req, res) => {
+    if (!METRICS_TOKEN) {
+        return res.status(503).json({ success: false, message: 'Metrics token not configured' });
+    }
+    if (req.headers['authorization'] !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({ success: false, message: 'Invalid metrics token' });
     }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
 });
 
 // Root route
@@ -582,22 +5734,72 @@ app.get('/', (req, res) => {
         status: 'Running',
         endpoints: {
             health: '/api/health',
+            liveness: '/api/health/live',
+            readiness: '/api/health/ready',
             admin: '/api/admin/login',
             bookings: '/api/bookings',
-            rooms: '/api/rooms'
+            rooms: '/api/rooms',
+            availability: '/api/rooms/availability'
         }
     });
 });
 
+// =====================================================
+// ERROR HANDLING
+// =====================================================
+app.use((req, res) => {
+    res.status(404).json({ success: false, message: `No route for ${req.method} ${req.path}` });
+});
+
+// Everything thrown from a route ends up here. Mongoose validation and cast errors are
+// the client's fault; anything else is logged with the request id and answered with
+// a 500 the caller can quote back to us.
+app.use((error, req, res, next) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+    // Body parser rejections such as an oversized payload carry their own 4xx status
+    if (error.type && error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    logger.error('Request failed', { method: req.method, path: req.originalUrl.split('?')[0], error });
+    if (res.headersSent) {
+        // A streamed export or PDF failed part-way; all we can do is cut it short
+        return res.end();
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+});
+
 // =====================================================
 // EXPORT FOR VERCEL
 // =====================================================
 module.exports = app;
+// Reached by the test suite only
+module.exports.internals = {
+    connectToDatabase,
+    razorpay,
+    calculateCancellationRefund,
+    issueRefund,
+    describeCancellationRefund,
+    applyQuoteDiscount,
+    sendExport,
+    readImportRecords,
+    validateValue,
+    BOOKING_EXPORT_COLUMNS,
+    IMPORT_ROW_FIELDS,
+    renderNotification,
+    issueInvoiceDocuments,
+    parseIcal,
+    syncChannel,
+    holdReservation,
+    confirmReservation,
+    models: { Admin, Booking, RoomNight, RoomType, CancellationPolicy, Channel, Reservation, Guest }
+};
 
 // Start server for local development
 if (require.main === module) {
     app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
+        logger.info('Server running', { port: PORT });
         connectToDatabase();
     });
 }
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+let ctx;
+let internals;
+let feed;
+let feedServer;
+let feedUrl;
+before(async () => {
+    ctx = await loadServer({ mongo: true });
+    // parseIcal needs no database, so its tests run even when ctx.skip is set
+    ({ internals } = await loadServer());
+    // Stands in for the OTA: serves whichever fixture `feed` names
+    feedServer = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/calendar' });
+        res.end(fixture(feed));
+    });
+    await new Promise(resolve => feedServer.listen(0, '127.0.0.1', resolve));
+    feedUrl = `http://127.0.0.1:${feedServer.address().port}/calendar.ics`;
+});
+after(async () => {
+    await new Promise(resolve => feedServer.close(resolve));
+    if (ctx && !ctx.skip) await ctx.close();
+});
+
+test('parseIcal unfolds continuation lines and unescapes text', () => {
+    const [event] = internals.parseIcal(fixture('folded-events.ics'));
+    assert.strictEqual(event.uid, 'stay-1@ota.example');
+    assert.strictEqual(event.summary, 'Reserved - Ananya Krishnan');
+    assert.strictEqual(event.description, 'Arrives late, around 11pm.\nTwo adults; one extra bed');
+});
+
+test('parseIcal reads DATE and DATE-TIME values as hotel dates', () => {
+    const events = internals.parseIcal(fixture('folded-events.ics'));
+    assert.deepStrictEqual(events.map(({ uid, start, end }) => ({ uid, start, end })), [
+        { uid: 'stay-1@ota.example', start: '2035-10-12', end: '2035-10-15' },
+        { uid: 'stay-2@ota.example', start: '2035-10-20', end: '2035-10-22' },
+        // No DTEND on an all-day event means one night
+        { uid: 'stay-3@ota.example', start: '2035-11-01', end: '2035-11-02' },
+        { uid: 'stay-4@ota.example', start: '2035-11-05', end: '2035-11-07' }
+    ]);
+});
+
+test('parseIcal keeps cancelled events, marked as such', () => {
+    const events = internals.parseIcal(fixture('folded-events.ics'));
+    assert.deepStrictEqual(events.map(event => event.status), [undefined, undefined, undefined, 'CANCELLED']);
+});
+
+test('parseIcal handles bare LF line endings and rejects non-calendars', () => {
+    const events = internals.parseIcal(fixture('folded-events.ics').replace(/\r\n/g, '\n'));
+    assert.strictEqual(events.length, 4);
+    assert.strictEqual(events[0].summary, 'Reserved - Ananya Krishnan');
+    assert.throws(() => internals.parseIcal('<html>Not found</html>'), /not an iCal calendar/);
+});
+
+test('syncChannel imports new events and releases rooms for removed ones', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, syncChannel, models: { Booking, RoomNight, Channel } } = ctx.internals;
+    await connectToDatabase();
+    const channel = await Channel.create({ name: 'ExampleOTA', roomType: 'deluxe', importUrl: feedUrl });
+    const bookedOn = async date => {
+        const night = await RoomNight.findOne({ roomType: 'deluxe', date });
+        return night ? night.booked : 0;
+    };
+
+    feed = 'channel-feed.ics';
+    const first = await syncChannel(channel);
+    assert.strictEqual(first.status, 'ok');
+    // The cancelled event is never imported
+    assert.deepStrictEqual({ events: first.events, created: first.created, cancelled: first.cancelled }, { events: 2, created: 2, cancelled: 0 });
+    const imported = await Booking.find({ channelId: channel._id }).sort({ checkIn: 1 });
+    assert.deepStrictEqual(imported.map(b => [b.externalUid, b.checkIn, b.checkOut, b.status]), [
+        ['sync-a@ota.example', '2035-03-01', '2035-03-03', 'confirmed'],
+        ['sync-b@ota.example', '2035-03-05', '2035-03-06', 'confirmed']
+    ]);
+    assert.strictEqual(await bookedOn('2035-03-02'), 1);
+    assert.strictEqual(await bookedOn('2035-03-05'), 1);
+    assert.strictEqual(await bookedOn('2035-03-10'), 0);
+
+    // Syncing the same feed again changes nothing
+    const repeat = await syncChannel(channel);
+    assert.deepStrictEqual({ created: repeat.created, updated: repeat.updated, cancelled: repeat.cancelled }, { created: 0, updated: 0, cancelled: 0 });
+
+    feed = 'channel-feed-removed.ics';
+    const second = await syncChannel(channel);
+    assert.strictEqual(second.cancelled, 1);
+    const removed = await Booking.findOne({ channelId: channel._id, externalUid: 'sync-b@ota.example' });
+    assert.strictEqual(removed.status, 'cancelled');
+    assert.strictEqual(await bookedOn('2035-03-05'), 0);
+    assert.strictEqual(await bookedOn('2035-03-02'), 1);
+});
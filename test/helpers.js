@@ -0,0 +1,70 @@
+// Loads server.js for tests with throwaway secrets. With `mongo: true` it first starts
+// an in-memory MongoDB for the app to use; when no mongod binary can be had (offline
+// machines) `skip` holds the reason and the caller skips its database tests. CI sets
+// MONGO_TESTS_REQUIRED so that a missing binary fails the run instead.
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'rzp_test_webhook_secret';
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-admin-password';
+process.env.ROOM_BASE_RATES = process.env.ROOM_BASE_RATES || '{"standard":2500,"deluxe":5000,"suite":8000}';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+async function loadServer({ mongo = false } = {}) {
+    let mongod = null;
+    if (mongo) {
+        try {
+            const { MongoMemoryServer } = require('mongodb-memory-server');
+            mongod = await MongoMemoryServer.create();
+        } catch (error) {
+            if (process.env.MONGO_TESTS_REQUIRED) throw error;
+            return { skip: `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}` };
+        }
+        process.env.MONGODB_URI = mongod.getUri('madura-test');
+    }
+    const app = require(path.join(__dirname, '..', 'server.js'));
+    let server = null;
+    let baseUrl = null;
+    const listen = async () => {
+        if (!baseUrl) {
+            baseUrl = await new Promise(resolve => {
+                server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        }
+        return baseUrl;
+    };
+    const close = async () => {
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mongod) {
+            await require('mongoose').disconnect();
+            await mongod.stop();
+        }
+    };
+    return { app, internals: app.internals, listen, close };
+}
+
+function signPayment(orderId, paymentId) {
+    return crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(`${orderId}|${paymentId}`).digest('hex');
+}
+
+// Creates a staff account that has already set its password and returns a bearer token for it
+async function staffToken(internals, role) {
+    const admin = await internals.models.Admin.create({
+        email: `${role}-${crypto.randomBytes(3).toString('hex')}@example.com`,
+        password: '$2a$10$abcdefghijklmnopqrstuuS3.rR6pYUG9wNTWkPzy7lLKmOPXsGGi',
+        name: `Test ${role}`,
+        role,
+        mustChangePassword: false
+    });
+    return jwt.sign({ id: admin._id, email: admin.email, role, type: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+function dateKey(daysFromToday) {
+    return new Date(Date.now() + daysFromToday * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = { loadServer, signPayment, staffToken, dateKey };
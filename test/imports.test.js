@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadServer, staffToken, dateKey } = require('./helpers');
+
+let ctx;
+let internals;
+before(async () => {
+    ctx = await loadServer({ mongo: true });
+    // The CSV round trip needs no database, so it runs even when ctx.skip is set
+    ({ internals } = await loadServer());
+});
+after(async () => {
+    if (ctx && !ctx.skip) await ctx.close();
+});
+
+test('a dry-run import validates rows without writing bookings or inventory', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, models: { Booking, RoomNight } } = ctx.internals;
+    const baseUrl = await ctx.listen();
+    await connectToDatabase();
+    const token = await staffToken(ctx.internals, 'manager');
+
+    const csv = [
+        'guestName,guestEmail,guestPhone,roomType,checkIn,checkOut,guests,paymentStatus',
+        `Asha Rao,asha@example.com,+919876543210,deluxe,${dateKey(50)},${dateKey(52)},2,completed`,
+        `Ravi Iyer,ravi@example.com,9876501234,deluxe,${dateKey(55)},${dateKey(56)},1,pending`
+    ].join('\r\n');
+    const response = await fetch(`${baseUrl}/api/bookings/import?dryRun=true`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${token}` },
+        body: csv
+    });
+    assert.strictEqual(response.status, 200);
+    const result = await response.json();
+    assert.strictEqual(result.dryRun, true);
+    assert.deepStrictEqual(result.rows.map(row => row.status), ['valid', 'valid']);
+    assert.strictEqual(await Booking.countDocuments(), 0);
+    assert.strictEqual(await RoomNight.countDocuments({ booked: { $gt: 0 } }), 0);
+});
+
+// Collects what sendExport writes, standing in for the HTTP response
+function captureResponse() {
+    const chunks = [];
+    return {
+        setHeader() {},
+        write(chunk) { chunks.push(chunk); return true; },
+        end() {},
+        text: () => chunks.join('')
+    };
+}
+
+test('an exported CSV imports again with its phone numbers intact', async () => {
+    const exported = {
+        bookingId: 'MGEXPORT1',
+        bookingDate: new Date('2026-09-01T10:00:00Z'),
+        source: 'website',
+        status: 'confirmed',
+        guestName: '=HYPERLINK("x")',
+        guestEmail: 'export@example.com',
+        guestPhone: '+919876543210',
+        roomType: 'deluxe',
+        checkIn: dateKey(70),
+        checkOut: dateKey(72),
+        nights: 2,
+        guests: 2,
+        paymentStatus: 'completed',
+        refunds: []
+    };
+    const res = captureResponse();
+    await internals.sendExport(res, { format: 'csv', filename: 'bookings', columns: internals.BOOKING_EXPORT_COLUMNS, cursor: [exported] });
+    assert.match(res.text(), /,\+919876543210,/);
+
+    const read = internals.readImportRecords(res.text());
+    assert.strictEqual(read.success, true);
+    assert.strictEqual(read.records.length, 1);
+    const checked = internals.validateValue(read.records[0].record, { type: 'object', fields: internals.IMPORT_ROW_FIELDS }, '');
+    assert.deepStrictEqual(checked.errors, []);
+    assert.strictEqual(checked.value.bookingId, 'MGEXPORT1');
+    assert.strictEqual(checked.value.guestPhone, '+919876543210');
+    assert.strictEqual(checked.value.checkIn, exported.checkIn);
+    // Formula-like text is still defused on the way out
+    assert.strictEqual(checked.value.guestName, `'${exported.guestName}`);
+});
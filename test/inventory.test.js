@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadServer, signPayment, dateKey } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await loadServer({ mongo: true });
+});
+after(async () => {
+    if (ctx && !ctx.skip) await ctx.close();
+});
+
+test('parallel payment verifications never take a night below zero availability', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, models: { Booking, RoomNight, RoomType } } = ctx.internals;
+    const baseUrl = await ctx.listen();
+    await connectToDatabase();
+    await RoomType.updateOne({ code: 'deluxe' }, { $set: { totalRooms: 2 } });
+
+    // Five checkouts for a two-room type whose holds never reserved inventory, e.g.
+    // bookings from before the ledger; every one of them then pays at the same moment
+    const checkIn = dateKey(10);
+    const checkOut = dateKey(12);
+    const bookings = [];
+    for (let i = 0; i < 5; i++) {
+        bookings.push(await Booking.create({
+            bookingId: `RACE-${i}`,
+            guestName: `Guest ${i}`,
+            guestEmail: `guest${i}@example.com`,
+            guestPhone: '+919876543210',
+            roomType: 'deluxe',
+            checkIn,
+            checkOut,
+            nights: 2,
+            roomPrice: 5000,
+            totalAmount: 11800,
+            status: 'pending',
+            paymentStatus: 'pending',
+            inventoryReserved: false,
+            holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+            razorpayOrderId: `order_race_${i}`
+        }));
+    }
+
+    const responses = await Promise.all(bookings.map((booking, i) => fetch(`${baseUrl}/api/payment/verify-payment`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            razorpay_order_id: booking.razorpayOrderId,
+            razorpay_payment_id: `pay_race_${i}`,
+            razorpay_signature: signPayment(booking.razorpayOrderId, `pay_race_${i}`),
+            bookingId: booking.bookingId
+        })
+    })));
+    const statuses = responses.map(response => response.status).sort();
+    assert.deepStrictEqual(statuses, [200, 200, 409, 409, 409]);
+
+    const nights = await RoomNight.find({ roomType: 'deluxe', date: { $in: [checkIn, dateKey(11)] } });
+    assert.strictEqual(nights.length, 2);
+    for (const night of nights) {
+        assert.strictEqual(night.booked, 2, `night ${night.date} booked ${night.booked} of 2 rooms`);
+    }
+    assert.strictEqual(await Booking.countDocuments({ bookingId: /^RACE-/, status: 'confirmed' }), 2);
+    assert.strictEqual(await Booking.countDocuments({ bookingId: /^RACE-/, status: 'needs_refund' }), 3);
+});
+
+test('a payment for another booking\'s order does not confirm this one', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, models: { Booking } } = ctx.internals;
+    const baseUrl = await ctx.listen();
+    await connectToDatabase();
+
+    for (const [suffix, totalAmount] of [['A', 23600], ['B', 5900]]) {
+        await Booking.create({
+            bookingId: `SWAP-${suffix}`,
+            guestName: `Guest ${suffix}`,
+            guestEmail: `swap${suffix}@example.com`,
+            guestPhone: '+919876543210',
+            roomType: 'deluxe',
+            checkIn: dateKey(20),
+            checkOut: dateKey(21),
+            nights: 1,
+            roomPrice: totalAmount / 1.18,
+            totalAmount,
+            status: 'pending',
+            paymentStatus: 'pending',
+            holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+            razorpayOrderId: `order_swap_${suffix}`
+        });
+    }
+
+    // A genuine payment for the cheaper booking's order, submitted against the dearer one
+    const response = await fetch(`${baseUrl}/api/payment/verify-payment`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            razorpay_order_id: 'order_swap_B',
+            razorpay_payment_id: 'pay_swap_B',
+            razorpay_signature: signPayment('order_swap_B', 'pay_swap_B'),
+            bookingId: 'SWAP-A'
+        })
+    });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual((await Booking.findOne({ bookingId: 'SWAP-A' })).status, 'pending');
+});
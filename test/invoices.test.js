@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadServer, dateKey } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await loadServer({ mongo: true });
+});
+after(async () => {
+    if (ctx && !ctx.skip) await ctx.close();
+});
+
+function paidBooking(bookingId) {
+    return {
+        bookingId,
+        guestName: 'Invoice Guest',
+        guestEmail: 'invoice@example.com',
+        guestPhone: '+919876543210',
+        roomType: 'deluxe',
+        checkIn: dateKey(30),
+        checkOut: dateKey(31),
+        nights: 1,
+        roomPrice: 5000,
+        totalAmount: 5900,
+        status: 'confirmed',
+        paymentStatus: 'completed',
+        razorpayOrderId: `order_${bookingId}`,
+        razorpayPaymentId: `pay_${bookingId}`
+    };
+}
+
+test('a failed invoice save is retried with the same number, leaving no gap', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, issueInvoiceDocuments, models: { Booking } } = ctx.internals;
+    await connectToDatabase();
+    const first = await Booking.create(paidBooking('INV-A'));
+    const second = await Booking.create(paidBooking('INV-B'));
+
+    t.mock.method(Booking.prototype, 'save', async function () {
+        throw new Error('write failed');
+    }, { times: 1 });
+    await assert.rejects(issueInvoiceDocuments(first), /write failed/);
+
+    const retried = await issueInvoiceDocuments(await Booking.findById(first._id));
+    const next = await issueInvoiceDocuments(second);
+    assert.strictEqual(retried.success, true);
+    assert.strictEqual(next.success, true);
+    const sequence = number => Number(number.split('/').pop());
+    assert.strictEqual(sequence(retried.booking.invoice.number), 1);
+    assert.strictEqual(sequence(next.booking.invoice.number), 2);
+});
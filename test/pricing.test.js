@@ -0,0 +1,33 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+let internals;
+before(async () => {
+    ({ internals } = await loadServer());
+});
+
+function quoteOf(amounts) {
+    const nightly = amounts.map((amount, index) => {
+        const gstRate = amount <= 1000 ? 0 : amount <= 7500 ? 5 : 18;
+        return { date: `2030-06-${String(15 + index).padStart(2, '0')}`, amount, gstRate, gst: amount * gstRate / 100 };
+    });
+    const subtotal = amounts.reduce((sum, amount) => sum + amount, 0);
+    const tax = nightly.reduce((sum, night) => sum + night.gst, 0);
+    return { nightly, subtotal, tax, total: subtotal + tax };
+}
+
+test('a discount that takes the nightly tariff under a slab is taxed at the lower rate', () => {
+    const quote = internals.applyQuoteDiscount(quoteOf([8000, 8000]), 2000, 'SAVE2000');
+    assert.deepStrictEqual(quote.nightly.map(night => [night.discount, night.gstRate, night.gst]), [[1000, 5, 350], [1000, 5, 350]]);
+    assert.strictEqual(quote.taxableAmount, 14000);
+    assert.strictEqual(quote.tax, 700);
+    assert.strictEqual(quote.total, 14700);
+});
+
+test('a discount that leaves the tariff in its slab keeps the slab rate', () => {
+    const quote = internals.applyQuoteDiscount(quoteOf([10000]), 1000, 'SAVE1000');
+    assert.strictEqual(quote.nightly[0].gstRate, 18);
+    assert.strictEqual(quote.tax, 1620);
+    assert.strictEqual(quote.total, 10620);
+});
@@ -0,0 +1,122 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+let internals;
+before(async () => {
+    ({ internals } = await loadServer());
+});
+
+// No CancellationPolicy documents, so the default rules apply
+beforeEach(() => {
+    internals.models.CancellationPolicy.findOne = async () => null;
+});
+
+function paidBooking(fields = {}) {
+    return {
+        bookingId: 'MGTEST1',
+        roomType: 'deluxe',
+        checkIn: '2030-06-15',
+        checkOut: '2030-06-17',
+        totalAmount: 10000,
+        razorpayPaymentId: 'pay_test_1',
+        paymentStatus: 'completed',
+        refunds: [],
+        saves: 0,
+        async save() { this.saves += 1; },
+        ...fields
+    };
+}
+
+const daysBefore = (dateKey, days) => new Date(Date.parse(dateKey) - days * 24 * 60 * 60 * 1000);
+
+test('default policy refunds everything more than 7 days out', async () => {
+    const result = await internals.calculateCancellationRefund(paidBooking(), daysBefore('2030-06-15', 10));
+    assert.strictEqual(result.refundPercent, 100);
+    assert.strictEqual(result.amount, 10000);
+});
+
+test('default policy refunds half within 7 days and within 48 hours', async () => {
+    for (const days of [4, 1]) {
+        const result = await internals.calculateCancellationRefund(paidBooking(), daysBefore('2030-06-15', days));
+        assert.strictEqual(result.refundPercent, 50, `${days} days before check-in`);
+        assert.strictEqual(result.amount, 5000);
+    }
+});
+
+test('default policy refunds nothing after check-in', async () => {
+    const result = await internals.calculateCancellationRefund(paidBooking(), daysBefore('2030-06-15', -2));
+    assert.strictEqual(result.refundPercent, 0);
+    assert.strictEqual(result.amount, 0);
+});
+
+test('refund is capped by what has not been refunded yet', async () => {
+    const booking = paidBooking({ paymentStatus: 'partially_refunded', refunds: [{ refundId: 'rfnd_old', amount: 8000, status: 'processed' }] });
+    const result = await internals.calculateCancellationRefund(booking, daysBefore('2030-06-15', 10));
+    assert.strictEqual(result.amount, 2000);
+});
+
+test('a room-type policy overrides the defaults', async () => {
+    internals.models.CancellationPolicy.findOne = async () => ({ rules: [{ minHoursBeforeCheckIn: 0, refundPercent: 20 }] });
+    const result = await internals.calculateCancellationRefund(paidBooking(), daysBefore('2030-06-15', 10));
+    assert.strictEqual(result.amount, 2000);
+});
+
+test('issueRefund calls Razorpay in paise and records the refund', async (t) => {
+    const refund = t.mock.method(internals.razorpay.payments, 'refund', async (paymentId, options) => ({
+        id: 'rfnd_1',
+        amount: options.amount,
+        status: 'processed'
+    }));
+    const booking = paidBooking();
+    const result = await internals.issueRefund(booking, 2500.5, { reason: 'Test', initiatedBy: 'owner@example.com' });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(refund.mock.calls[0].arguments[0], 'pay_test_1');
+    assert.strictEqual(refund.mock.calls[0].arguments[1].amount, 250050);
+    assert.strictEqual(booking.refunds.length, 1);
+    assert.strictEqual(booking.refunds[0].refundId, 'rfnd_1');
+    assert.strictEqual(booking.refunds[0].amount, 2500.5);
+    assert.strictEqual(booking.paymentStatus, 'partially_refunded');
+    assert.ok(booking.saves > 0);
+});
+
+test('issueRefund records a failed refund when Razorpay rejects it', async (t) => {
+    t.mock.method(internals.razorpay.payments, 'refund', async () => {
+        throw { statusCode: 400, error: { description: 'The amount must be atleast INR 1.00' } };
+    });
+    const booking = paidBooking();
+    const result = await internals.issueRefund(booking, 1000, { reason: 'Test' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(booking.refunds.length, 1);
+    assert.strictEqual(booking.refunds[0].status, 'failed');
+    assert.strictEqual(booking.paymentStatus, 'completed');
+    // A failed attempt doesn't use up the refundable amount
+    const retry = await internals.calculateCancellationRefund(booking, daysBefore('2030-06-15', 10));
+    assert.strictEqual(retry.amount, 10000);
+});
+
+test('issueRefund refuses more than the refundable amount without calling Razorpay', async (t) => {
+    const refund = t.mock.method(internals.razorpay.payments, 'refund', async () => ({}));
+    const result = await internals.issueRefund(paidBooking(), 10000.01);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(refund.mock.callCount(), 0);
+});
+
+test('the cancellation email reports a failed refund as being processed, not as none due', async (t) => {
+    t.mock.method(internals.razorpay.payments, 'refund', async () => {
+        throw { statusCode: 502, error: { description: 'Gateway unavailable' } };
+    });
+    const booking = paidBooking({ guestName: 'Asha', guestEmail: 'asha@example.com', nights: 2 });
+    const cancellation = await internals.calculateCancellationRefund(booking, daysBefore('2030-06-15', 10));
+    const refund = await internals.issueRefund(booking, cancellation.amount, { reason: 'Test' });
+    const email = internals.renderNotification('booking_cancelled', booking, internals.describeCancellationRefund(cancellation, refund));
+    assert.match(email.text, /A refund of ₹10,000\.00 is due under our cancellation policy and is being processed/);
+    assert.doesNotMatch(email.text, /no refund is due/);
+});
+
+test('the cancellation email says no refund is due only when the policy allows none', async () => {
+    const booking = paidBooking({ guestName: 'Asha', guestEmail: 'asha@example.com', nights: 2 });
+    const cancellation = await internals.calculateCancellationRefund(booking, daysBefore('2030-06-15', -2));
+    const email = internals.renderNotification('booking_cancelled', booking, internals.describeCancellationRefund(cancellation, null));
+    assert.match(email.text, /no refund is due/);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadServer, dateKey } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await loadServer({ mongo: true });
+});
+after(async () => {
+    if (ctx && !ctx.skip) await ctx.close();
+});
+
+test('a paid group reservation records and emails the guest once', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, confirmReservation, models: { Booking, Reservation, Guest } } = ctx.internals;
+    await connectToDatabase();
+
+    const guest = { guestName: 'Group Guest', guestEmail: 'group@example.com', guestPhone: '+919876543210' };
+    const stay = { checkIn: dateKey(40), checkOut: dateKey(42), nights: 2 };
+    const bookingIds = ['GRP1-1', 'GRP1-2', 'GRP1-3'];
+    const reservation = await Reservation.create({
+        reservationId: 'GRP1',
+        ...guest,
+        ...stay,
+        lines: [{ roomType: 'deluxe', quantity: 3, guestsPerRoom: 2, bookingIds, totalAmount: 35400 }],
+        totalAmount: 35400,
+        razorpayOrderId: 'order_group_1'
+    });
+    for (const bookingId of bookingIds) {
+        await Booking.create({
+            bookingId,
+            reservationId: 'GRP1',
+            ...guest,
+            ...stay,
+            roomType: 'deluxe',
+            guests: 2,
+            roomPrice: 5000,
+            totalAmount: 11800,
+            status: 'pending',
+            paymentStatus: 'pending',
+            inventoryReserved: false,
+            holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000)
+        });
+    }
+
+    // The verify call and Razorpay's webhook both report the payment
+    const first = await confirmReservation(reservation, { razorpayPaymentId: 'pay_group_1' });
+    await confirmReservation(await Reservation.findById(reservation._id), { razorpayPaymentId: 'pay_group_1' });
+    assert.strictEqual(first.success, true);
+
+    const bookings = await Booking.find({ reservationId: 'GRP1' }).sort({ bookingId: 1 });
+    assert.deepStrictEqual(bookings.map(booking => booking.status), ['confirmed', 'confirmed', 'confirmed']);
+    const notifications = bookings.flatMap(booking => booking.notifications.map(n => [booking.bookingId, n.type]));
+    assert.deepStrictEqual(notifications, [['GRP1-1', 'reservation_confirmed']]);
+    assert.deepStrictEqual(bookings[0].notifications[0].data.rooms.map(room => room.bookingId), bookingIds);
+    assert.strictEqual((await Guest.findOne({ email: 'group@example.com' })).bookings, 1);
+});
+
+test('a room that fails to save gives back the rooms already held', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, holdReservation, models: { Booking, Reservation, RoomNight } } = ctx.internals;
+    await connectToDatabase();
+    const save = Booking.prototype.save;
+    t.mock.method(Booking.prototype, 'save', async function (...args) {
+        if (this.bookingId.endsWith('-2')) throw new Error('write failed');
+        return save.apply(this, args);
+    });
+
+    const checkIn = dateKey(60);
+    await assert.rejects(holdReservation({
+        guestName: 'Group Guest',
+        guestEmail: 'failed-group@example.com',
+        guestPhone: '+919876543210',
+        checkIn,
+        checkOut: dateKey(61),
+        lines: [{ roomType: 'deluxe', quantity: 3, guestsPerRoom: 2 }]
+    }), /write failed/);
+
+    assert.strictEqual(await Reservation.countDocuments({ guestEmail: 'failed-group@example.com' }), 0);
+    assert.strictEqual(await Booking.countDocuments({ guestEmail: 'failed-group@example.com' }), 0);
+    const night = await RoomNight.findOne({ roomType: 'deluxe', date: checkIn });
+    assert.strictEqual(night ? night.booked : 0, 0);
+});
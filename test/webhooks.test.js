@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadServer, signPayment, dateKey } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await loadServer({ mongo: true });
+});
+after(async () => {
+    if (ctx && !ctx.skip) await ctx.close();
+});
+
+function sendWebhook(baseUrl, event, eventId) {
+    const body = JSON.stringify(event);
+    return fetch(`${baseUrl}/api/payment/webhook`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-razorpay-event-id': eventId,
+            'x-razorpay-signature': crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(body).digest('hex')
+        },
+        body
+    });
+}
+
+test('a payment webhook arriving after the guest cancelled leaves the booking cancelled and refunded', async (t) => {
+    if (ctx.skip) return t.skip(ctx.skip);
+    const { connectToDatabase, models: { Booking } } = ctx.internals;
+    const baseUrl = await ctx.listen();
+    await connectToDatabase();
+    await Booking.create({
+        bookingId: 'LATE-1',
+        guestName: 'Late Hook',
+        guestEmail: 'late@example.com',
+        guestPhone: '+919876543210',
+        roomType: 'deluxe',
+        checkIn: dateKey(30),
+        checkOut: dateKey(32),
+        nights: 2,
+        roomPrice: 5000,
+        totalAmount: 11800,
+        status: 'pending',
+        paymentStatus: 'pending',
+        holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+        razorpayOrderId: 'order_late_1'
+    });
+
+    const verified = await fetch(`${baseUrl}/api/payment/verify-payment`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            razorpay_order_id: 'order_late_1',
+            razorpay_payment_id: 'pay_late_1',
+            razorpay_signature: signPayment('order_late_1', 'pay_late_1'),
+            bookingId: 'LATE-1'
+        })
+    });
+    assert.strictEqual(verified.status, 200);
+
+    // The guest cancels and is refunded in full before Razorpay's webhooks land
+    await Booking.updateOne(
+        { bookingId: 'LATE-1' },
+        {
+            $set: { status: 'cancelled', paymentStatus: 'refunded', inventoryReserved: false },
+            $push: { refunds: { refundId: 'rfnd_late_1', amount: 11800, status: 'processed' } }
+        }
+    );
+    const payment = { entity: { id: 'pay_late_1', order_id: 'order_late_1', amount: 1180000, status: 'captured' } };
+    const captured = await sendWebhook(baseUrl, { event: 'payment.captured', created_at: 1, payload: { payment } }, 'evt_late_captured');
+    const paid = await sendWebhook(baseUrl, { event: 'order.paid', created_at: 2, payload: { payment, order: { entity: { id: 'order_late_1' } } } }, 'evt_late_paid');
+    assert.strictEqual(captured.status, 200);
+    assert.strictEqual(paid.status, 200);
+
+    const booking = await Booking.findOne({ bookingId: 'LATE-1' });
+    assert.strictEqual(booking.status, 'cancelled');
+    assert.strictEqual(booking.paymentStatus, 'refunded');
+});